@@ -1,12 +1,39 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest, SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
-import { exec } from "node:child_process";
-import { promisify } from "node:util";
+import { execFile, spawn } from "node:child_process";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { createServer as createHttpServer } from "node:http";
+import { appendFileSync, mkdirSync, mkdtempSync, readFileSync, rmdirSync, unlinkSync, writeFileSync } from "node:fs";
+import { homedir, tmpdir } from "node:os";
+import { dirname, isAbsolute, join, relative, resolve } from "node:path";
 
-// No longer tracking terminals - we parse IDs directly
+// Terminals are not registered anywhere: tools parse the backend's own
+// terminal IDs. What is kept in memory (read positions, jobs, transcripts,
+// workspaces, ...) only adds to that and is gone when the server restarts.
+
+// Load the optional JSON config file. ITERM_MCP_CONFIG points at it,
+// otherwise ~/.iterm-mcp-server.json is used if it exists.
+function loadConfig() {
+  const configPath = process.env.ITERM_MCP_CONFIG || join(homedir(), ".iterm-mcp-server.json");
+
+  try {
+    return JSON.parse(readFileSync(configPath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Could not load config ${configPath}:`, error.message);
+    }
+    return {};
+  }
+}
+
+const config = loadConfig();
 
 // Helper function to escape strings for AppleScript
 function escapeForAppleScript(str) {
@@ -19,47 +46,863 @@ function escapeForAppleScript(str) {
     .replace(/"/g, '\\"');      // Each " becomes \"
 }
 
+// Build an AppleScript string expression for text that may contain control
+// characters. AppleScript string literals have no escapes for them, so they
+// are joined in with "character id".
+function appleScriptString(str) {
+  const parts = str.match(/[\x00-\x1f\x7f]|[^\x00-\x1f\x7f]+/g) || [""];
+  return parts.map((part) => (/^[\x00-\x1f\x7f]$/.test(part)
+    ? `(character id ${part.charCodeAt(0)})`
+    : `"${escapeForAppleScript(part)}"`)).join(" & ");
+}
+
+// Keys that are sent as fixed characters
+const keyCodes = {
+  'tab': '\t',
+  'enter': '\r',
+  'return': '\r',
+  'escape': '\x1b',
+  'esc': '\x1b',
+  'space': ' ',
+  'backspace': '\x7f',
+  'delete': '\x7f',
+  'kp0': '\x1bOp',
+  'kp1': '\x1bOq',
+  'kp2': '\x1bOr',
+  'kp3': '\x1bOs',
+  'kp4': '\x1bOt',
+  'kp5': '\x1bOu',
+  'kp6': '\x1bOv',
+  'kp7': '\x1bOw',
+  'kp8': '\x1bOx',
+  'kp9': '\x1bOy',
+  'kp-enter': '\x1bOM',
+  'kp-plus': '\x1bOk',
+  'kp-minus': '\x1bOm',
+  'kp-multiply': '\x1bOj',
+  'kp-divide': '\x1bOo',
+  'kp-decimal': '\x1bOn',
+  'kp-equal': '\x1bOX',
+};
+
+// Keys sent as xterm escape sequences, which carry modifiers as a
+// parameter: up is ESC [ A, ctrl-up is ESC [ 1 ; 5 A
+const csiKeys = {
+  'up': { final: 'A' },
+  'down': { final: 'B' },
+  'right': { final: 'C' },
+  'left': { final: 'D' },
+  'home': { final: 'H' },
+  'end': { final: 'F' },
+  'insert': { number: 2, final: '~' },
+  'forward-delete': { number: 3, final: '~' },
+  'pageup': { number: 5, final: '~' },
+  'pagedown': { number: 6, final: '~' },
+  'f1': { ss3: true, final: 'P' },
+  'f2': { ss3: true, final: 'Q' },
+  'f3': { ss3: true, final: 'R' },
+  'f4': { ss3: true, final: 'S' },
+  'f5': { number: 15, final: '~' },
+  'f6': { number: 17, final: '~' },
+  'f7': { number: 18, final: '~' },
+  'f8': { number: 19, final: '~' },
+  'f9': { number: 20, final: '~' },
+  'f10': { number: 21, final: '~' },
+  'f11': { number: 23, final: '~' },
+  'f12': { number: 24, final: '~' },
+};
+
+const keyModifiers = { ctrl: "ctrl", control: "ctrl", alt: "alt", meta: "alt", option: "alt", shift: "shift" };
+
+// Turn a key name such as "down", "ctrl-c", "alt-f" or "ctrl-shift-left"
+// into the characters a terminal sends for it. Returns null for names that
+// are not keys; throws for modifier combinations a terminal cannot send.
+function encodeKey(name) {
+  const parts = name.toLowerCase().split("-");
+  const mods = { ctrl: false, alt: false, shift: false };
+  while (parts.length > 1 && keyModifiers[parts[0]]) {
+    mods[keyModifiers[parts.shift()]] = true;
+  }
+  // Keep the original case of a single character key, e.g. alt-F
+  const key = parts.length === 1 && parts[0].length === 1 ? name.slice(-1) : parts.join("-");
+  const hasMods = mods.ctrl || mods.alt || mods.shift;
+
+  if (csiKeys[key]) {
+    const { number = 1, final, ss3 } = csiKeys[key];
+    const modifier = 1 + (mods.shift ? 1 : 0) + (mods.alt ? 2 : 0) + (mods.ctrl ? 4 : 0);
+    if (modifier === 1) {
+      return ss3 ? `\x1bO${final}` : `\x1b[${final === '~' ? number : ""}${final}`;
+    }
+    return `\x1b[${number};${modifier}${final}`;
+  }
+
+  let data;
+  if (key === "tab" && mods.shift) {
+    data = '\x1b[Z';
+    mods.shift = false;
+  } else if (key === "space" && mods.ctrl) {
+    data = '\x00';
+    mods.ctrl = false;
+  } else if (keyCodes[key]) {
+    data = keyCodes[key];
+  } else if (key.length === 1) {
+    data = mods.shift ? key.toUpperCase() : key;
+    mods.shift = false;
+    if (mods.ctrl) {
+      const code = data.toUpperCase().charCodeAt(0);
+      if (code >= 63 && code <= 95) {
+        // ctrl-a is 1, ctrl-[ is escape and ctrl-? is delete
+        data = String.fromCharCode(code === 63 ? 127 : code & 0x1f);
+        mods.ctrl = false;
+      }
+    }
+  } else if (hasMods) {
+    throw new Error(`Unknown key: ${name}`);
+  } else {
+    return null;
+  }
+
+  if (mods.ctrl || mods.shift) {
+    throw new Error(`Unsupported key combination: ${name}`);
+  }
+  // Alt (meta) sends escape before the key
+  return mods.alt ? `\x1b${data}` : data;
+}
+
+// Every tool call runs with its cancellation signal in this context, so the
+// helpers below can give up on work for a cancelled call without the signal
+// being passed through every backend method
+const operationContext = new AsyncLocalStorage();
+
+function cancelledError() {
+  const error = new Error("Operation cancelled");
+  error.cancelled = true;
+  return error;
+}
+
+function timeoutError(label, timeout) {
+  const error = new Error(`${label} timed out after ${timeout}ms`);
+  error.timedOut = true;
+  return error;
+}
+
+// Call onCancel once the current tool call is cancelled (straight away if it
+// already is). Returns a function that stops listening.
+function onCancelled(onCancel) {
+  const signal = operationContext.getStore()?.signal;
+  if (!signal) {
+    return () => {};
+  }
+  if (signal.aborted) {
+    onCancel();
+    return () => {};
+  }
+  signal.addEventListener("abort", onCancel, { once: true });
+  return () => signal.removeEventListener("abort", onCancel);
+}
+
+// Wait for a promise, rejecting early if the current tool call is cancelled
+function untilCancelled(promise) {
+  return new Promise((resolve, reject) => {
+    const stop = onCancelled(() => reject(cancelledError()));
+    promise.then((value) => {
+      stop();
+      resolve(value);
+    }, (error) => {
+      stop();
+      reject(error);
+    });
+  });
+}
+
+// How long a single osascript or tmux invocation may run before it is killed
+const scriptTimeout = parseInt(process.env.ITERM_MCP_SCRIPT_TIMEOUT) || config.scriptTimeout || 30000;
+
+// How much an osascript or tmux invocation may print. A full scrollback
+// easily passes execFile's 1 MB default.
+const scriptMaxOutput = parseInt(process.env.ITERM_MCP_SCRIPT_MAX_OUTPUT) || config.scriptMaxOutput || 64 * 1024 * 1024;
+
+// Run a program without a shell, feeding it input on stdin. The program is
+// killed when it runs longer than scriptTimeout or the tool call is cancelled.
+function runProcess(file, args, { input, label }) {
+  return new Promise((resolve, reject) => {
+    let failure;
+    const child = execFile(file, args, { maxBuffer: scriptMaxOutput }, (error, stdout, stderr) => {
+      clearTimeout(timer);
+      stop();
+      if (failure) {
+        reject(failure);
+        return;
+      }
+      if (error) {
+        // Like promisify(execFile), so callers can inspect what it printed
+        reject(Object.assign(error, { stdout, stderr }));
+        return;
+      }
+      resolve({ stdout, stderr });
+    });
+    // A program that exits early closes stdin; its exit status reports why
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+
+    const timer = setTimeout(() => {
+      failure = timeoutError(label, scriptTimeout);
+      child.kill("SIGKILL");
+    }, scriptTimeout);
+    const stop = onCancelled(() => {
+      failure = cancelledError();
+      child.kill("SIGKILL");
+    });
+  });
+}
+
+// Run one AppleScript in its own osascript process, which reads the script
+// from stdin so it needs no escaping
+async function runOsascript(script) {
+  const { stdout, stderr } = await runProcess("osascript", [], { input: script, label: "AppleScript" });
+
+  if (stderr) {
+    console.error("iTerm AppleScript warning:", stderr);
+  }
+
+  return stdout;
+}
+
+// JXA worker for the persistent runner: reads { id, script } JSON lines on
+// stdin, compiles and runs each script with NSAppleScript and writes
+// { id, result } or { id, error, number } JSON lines to stdout. Exits when
+// stdin closes.
+const scriptRunnerSource = String.raw`
+ObjC.import("Foundation");
+const input = $.NSFileHandle.fileHandleWithStandardInput;
+const output = $.NSFileHandle.fileHandleWithStandardOutput;
+function reply(response) {
+  output.writeData($(JSON.stringify(response) + "\n").dataUsingEncoding($.NSUTF8StringEncoding));
+}
+let buffer = "";
+while (true) {
+  const data = input.availableData;
+  if (data.length === 0) {
+    break;
+  }
+  buffer += $.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding).js;
+  let newline;
+  while ((newline = buffer.indexOf("\n")) !== -1) {
+    const { id, script } = JSON.parse(buffer.slice(0, newline));
+    buffer = buffer.slice(newline + 1);
+    const error = Ref();
+    const result = $.NSAppleScript.alloc.initWithSource(script).executeAndReturnError(error);
+    if (result.isNil()) {
+      reply({
+        id,
+        error: ObjC.unwrap(error[0].objectForKey("NSAppleScriptErrorMessage")),
+        number: ObjC.unwrap(error[0].objectForKey("NSAppleScriptErrorNumber")),
+      });
+    } else {
+      reply({ id, result: ObjC.unwrap(result.stringValue) || "" });
+    }
+  }
+}
+`;
+
+// "persistent" keeps one osascript worker running for all scripts,
+// "exec" starts osascript for every script
+const scriptRunnerMode = process.env.ITERM_MCP_SCRIPT_RUNNER || config.scriptRunner || "persistent";
+
+// The running worker: { child, active, queue, nextId, stopped }, or null
+// before the first script. Scripts are sent one at a time: active is the
+// request the worker is running and queue holds the ones waiting. A request
+// is { script, resolve, reject, runner, id, timer }. Once the worker has
+// died every script goes through runOsascript instead.
+let scriptRunner = null;
+let scriptRunnerFailed = false;
+
+function startScriptRunner() {
+  const child = spawn("osascript", ["-l", "JavaScript", "-e", scriptRunnerSource], {
+    stdio: ["pipe", "pipe", "inherit"],
+  });
+  const runner = { child, active: null, queue: [], nextId: 1 };
+
+  let buffer = "";
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const response = JSON.parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+
+      const request = runner.active;
+      if (!request || request.id !== response.id) {
+        continue;
+      }
+      runner.active = null;
+      clearTimeout(request.timer);
+      if (response.error !== undefined) {
+        // Shaped like osascript's own error so callers see the same message
+        const error = new Error(`${response.error} (${response.number})`);
+        error.stderr = `execution error: ${response.error} (${response.number})`;
+        request.reject(error);
+      } else {
+        request.resolve(response.result);
+      }
+      sendNextScript(runner);
+    }
+  });
+
+  // Scripts the worker never received run through runOsascript instead.
+  // If the worker could not be started at all, neither could the active one.
+  const fail = (reason, { started = true } = {}) => {
+    if (scriptRunnerFailed || runner.stopped) {
+      return;
+    }
+    scriptRunnerFailed = true;
+    scriptRunner = null;
+    console.error(`AppleScript runner stopped (${reason}), falling back to one osascript per call`);
+    if (runner.active) {
+      clearTimeout(runner.active.timer);
+      if (started) {
+        runner.active.reject(new Error(`AppleScript runner stopped: ${reason}`));
+      } else {
+        runner.queue.unshift(runner.active);
+      }
+    }
+    for (const request of runner.queue) {
+      runOsascript(request.script).then(request.resolve, request.reject);
+    }
+    runner.active = null;
+    runner.queue = [];
+  };
+  child.on("error", (error) => fail(error.message, { started: false }));
+  child.on("exit", (code, signal) => fail(signal ? `signal ${signal}` : `exit code ${code}`));
+  child.stdin.on("error", (error) => fail(error.message));
+
+  return runner;
+}
+
+// Queue a request on the worker, starting one if needed
+function sendToScriptRunner(request) {
+  if (!scriptRunner) {
+    scriptRunner = startScriptRunner();
+  }
+  request.runner = scriptRunner;
+  scriptRunner.queue.push(request);
+  sendNextScript(scriptRunner);
+}
+
+// Send the next queued script once the worker is idle
+function sendNextScript(runner) {
+  if (runner.active || runner.queue.length === 0) {
+    return;
+  }
+  const request = runner.queue.shift();
+  request.id = runner.nextId++;
+  request.timer = setTimeout(() => restartScriptRunner(runner, timeoutError("AppleScript", scriptTimeout)), scriptTimeout);
+  runner.active = request;
+
+  // Escape non-ASCII characters so a line is never split inside a
+  // multi-byte character when the worker reads it in chunks
+  const line = JSON.stringify({ id: request.id, script: request.script }).replace(/[\u007f-\uffff]/g, (char) => (
+    `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`
+  ));
+  runner.child.stdin.write(line + "\n");
+}
+
+// A running script cannot be interrupted, so fail it with error, kill the
+// worker and move the scripts waiting behind it to a fresh worker
+function restartScriptRunner(runner, error) {
+  runner.stopped = true;
+  runner.child.kill("SIGKILL");
+  if (scriptRunner === runner) {
+    scriptRunner = null;
+  }
+
+  clearTimeout(runner.active.timer);
+  runner.active.reject(error);
+  for (const request of runner.queue) {
+    sendToScriptRunner(request);
+  }
+}
+
+function runWithScriptRunner(script) {
+  return new Promise((resolve, reject) => {
+    const request = { script };
+    let cancelled = false;
+    const stop = onCancelled(() => {
+      cancelled = true;
+      const { runner } = request;
+      if (!runner) {
+        reject(cancelledError());
+      } else if (runner.active === request) {
+        restartScriptRunner(runner, cancelledError());
+      } else {
+        runner.queue.splice(runner.queue.indexOf(request), 1);
+        reject(cancelledError());
+      }
+    });
+    request.resolve = (value) => {
+      stop();
+      resolve(value);
+    };
+    request.reject = (error) => {
+      stop();
+      reject(error);
+    };
+    if (!cancelled) {
+      sendToScriptRunner(request);
+    }
+  });
+}
+
+// Close the worker's stdin so it exits once its current script is done
+function stopScriptRunner() {
+  if (scriptRunner) {
+    scriptRunner.stopped = true;
+    scriptRunner.child.stdin.end();
+    scriptRunner = null;
+  }
+}
+
+// Returned by scripts that check for iTerm2 first instead of launching it
+const itermNotRunning = "iTerm2 is not running";
+
+// Dry run
+//
+// With --dry-run, ITERM_MCP_DRY_RUN=1 or "dryRun" in the config file no
+// AppleScript is run. executeITermScript records each script and answers
+// with a scripted response instead, and every tool result lists the
+// scripts the call would have run, so tools and escaping can be checked
+// without a Mac. A dry run always uses the iTerm2 backend.
+//
+// Responses are rules in "dryRun": { "responses": [...] }. The first rule
+// whose "match" regex matches the script answers it:
+//
+//   { "match": "create window", "output": "ABC-123|1" }
+//   { "match": "contents", "output": "$ ls", "once": true }   used only once
+//   { "match": "close", "error": "Can't get session.", "number": -1728 }
+//
+// A rule without "match" matches every script. Scripts that no rule
+// matches return an empty string, except those that open a session, which
+// get a made-up session ID so the terminal ID is valid.
+
+const dryRunConfig = config.dryRun === true ? {} : config.dryRun;
+const dryRun = process.argv.includes("--dry-run")
+  || ["1", "true"].includes(process.env.ITERM_MCP_DRY_RUN)
+  || Boolean(dryRunConfig);
+const dryRunResponses = (dryRunConfig?.responses || []).map((rule) => ({
+  ...rule,
+  pattern: rule.match === undefined ? null : new RegExp(rule.match),
+}));
+
+// Sessions opened without a matching rule, numbered rather than random so
+// that results stay the same from run to run
+let dryRunSessionCount = 0;
+
+// Record a script for the current tool call and return its response
+async function recordScript(script) {
+  operationContext.getStore()?.scripts?.push(script);
+
+  const index = dryRunResponses.findIndex((rule) => !rule.pattern || rule.pattern.test(script));
+  if (index === -1) {
+    // Answer like openTerminal's script: session ID|window ID
+    if (script.includes("(id of newSession as string)")) {
+      dryRunSessionCount++;
+      return `00000000-0000-4000-8000-${String(dryRunSessionCount).padStart(12, "0")}|1`;
+    }
+    return "";
+  }
+  const rule = dryRunResponses[index];
+  if (rule.once) {
+    dryRunResponses.splice(index, 1);
+  }
+  if (rule.error !== undefined) {
+    // Shaped like osascript's own error so callers see the same message
+    const number = rule.number ?? -2700;
+    const error = new Error(`${rule.error} (${number})`);
+    error.stderr = `execution error: ${rule.error} (${number})`;
+    throw error;
+  }
+  return String(rule.output ?? "");
+}
+
+// Add the scripts a tool call recorded to its result
+function withRecordedScripts(result, scripts) {
+  return {
+    ...result,
+    content: [
+      ...result.content,
+      ...scripts.map((script, index) => ({ type: "text", text: `(Dry run) AppleScript ${index + 1} of ${scripts.length}:\n${script}` })),
+    ],
+    structuredContent: { ...result.structuredContent, dryRun: { scripts } },
+  };
+}
+
 // Helper function to execute AppleScript for iTerm
 async function executeITermScript(script) {
-  const execPromise = promisify(exec);
-  
   try {
-    // Use osascript with here-doc for better handling of complex scripts
-    // This avoids issues with quotes and special characters in AppleScript
-    const { stdout, stderr } = await execPromise(`osascript <<'EOF'
-${script}
-EOF`);
-    
-    if (stderr) {
-      console.error("iTerm AppleScript warning:", stderr);
-    }
-    
-    return stdout.trim();
+    let output;
+    if (dryRun) {
+      output = (await recordScript(script)).trim();
+    } else {
+      output = (scriptRunnerMode === "persistent" && !scriptRunnerFailed
+        ? await runWithScriptRunner(script)
+        : await runOsascript(script)).trim();
+    }
+    if (output === itermNotRunning) {
+      throw new Error(itermNotRunning);
+    }
+    return output;
+  } catch (error) {
+    if (!error.cancelled) {
+      console.error("iTerm AppleScript error:", error);
+    }
+    throw error;
+  }
+}
+
+// Time a simple iTerm script through both runners and report the speedup
+async function benchmarkScriptRunner(iterations = 20) {
+  const script = `tell application "iTerm2" to count windows`;
+  const time = async (run) => {
+    await run(script);
+    const startTime = Date.now();
+    for (let i = 0; i < iterations; i++) {
+      await run(script);
+    }
+    return (Date.now() - startTime) / iterations;
+  };
+
+  const execTime = await time(runOsascript);
+  const persistentTime = await time(runWithScriptRunner);
+  stopScriptRunner();
+
+  return [
+    `AppleScript runner benchmark (${iterations} calls each):`,
+    `  exec:       ${execTime.toFixed(1)}ms per call`,
+    `  persistent: ${persistentTime.toFixed(1)}ms per call`,
+    `  speedup:    ${(execTime / persistentTime).toFixed(1)}x`,
+  ].join("\n");
+}
+
+// Helper function to run a tmux command. Arguments are passed straight to
+// the tmux binary without a shell, so they need no escaping.
+async function executeTmux(args) {
+  try {
+    // -u: without a UTF-8 locale tmux prints control characters, like the
+    // \x1f field separator, and non-ASCII text as "_"
+    const { stdout } = await runProcess("tmux", ["-u", ...args], { label: "tmux" });
+    return stdout;
   } catch (error) {
-    console.error("iTerm AppleScript error:", error);
+    // A missing pane or server is an expected "not found", not an error
+    if (!isTmuxNotFound(error) && !error.cancelled) {
+      console.error("tmux error:", error);
+    }
     throw error;
   }
 }
 
-// Create server instance
-const server = new McpServer({
-  name: "terminal",
-  version: "1.0.0",
-});
+function isTmuxNotFound(error) {
+  return /can't find|no server running|no such file/i.test(error.stderr || "");
+}
 
-// Register terminal tools
-server.tool(
-  "open-terminal", 
-  "Opens a new iTerm2 window and creates a tracked terminal session. Returns a terminal ID that can be used with other commands. The terminal will be ready to receive commands immediately.",
-  {}, 
-  async () => {
-  // Create iTerm window/tab and get its IDs with focus restoration
-  const script = `
+// Quote a string as a single POSIX shell word
+function shellQuote(str) {
+  return `'${str.replace(/'/g, "'\\''")}'`;
+}
+
+// The first name in env that is not a valid shell variable name, or
+// undefined. Names are typed into the shell unquoted.
+function invalidEnvName(env = {}) {
+  return Object.keys(env).find((name) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name));
+}
+
+// Build the shell line that moves a new terminal to its starting directory
+// and exports its environment variables, or "" if there is nothing to do
+function shellSetupLine({ cwd, env = {} }) {
+  const badName = invalidEnvName(env);
+  if (badName !== undefined) {
+    throw new Error(`Invalid environment variable name: ${badName}`);
+  }
+  const parts = [];
+  if (cwd) {
+    parts.push(`cd ${shellQuote(cwd)}`);
+  }
+  const assignments = Object.entries(env).map(([name, value]) => `${name}=${shellQuote(value)}`);
+  if (assignments.length > 0) {
+    parts.push(`export ${assignments.join(" ")}`);
+  }
+  return parts.join(" && ");
+}
+
+// Keep only the last N lines of some terminal output
+function lastLines(output, lines) {
+  if (!lines) {
+    return output;
+  }
+  return output.split("\n").slice(-lines).join("\n");
+}
+
+// One-line summary of a terminal's info for listings
+function describeTerminal(info) {
+  if (!info) {
+    return "unknown";
+  }
+  const process = info.process ? `${info.process}${info.busy ? " (busy)" : ""}` : info.busy ? "busy" : "idle";
+  return info.cwd ? `${process} in ${info.cwd}` : process;
+}
+
+// Group [windowId, tabId, terminalId] rows into the
+// [{ id, tabs: [{ id, terminalIds }] }] hierarchy reported by listTerminals
+function groupTerminals(rows) {
+  const windows = [];
+  for (const [windowId, tabId, terminalId] of rows) {
+    let window = windows.find(({ id }) => id === windowId);
+    if (!window) {
+      window = { id: windowId, tabs: [] };
+      windows.push(window);
+    }
+    let tab = window.tabs.find(({ id }) => id === tabId);
+    if (!tab) {
+      tab = { id: tabId, terminalIds: [] };
+      window.tabs.push(tab);
+    }
+    tab.terminalIds.push(terminalId);
+  }
+  return windows;
+}
+
+// Terminal backends
+//
+// Every tool talks to the terminal through a backend with the same
+// interface, so the tools behave identically on iTerm2 and tmux:
+//
+//   parseTerminalId(id)          -> target object, or null if the format is wrong
+//   openTerminal({placement, relativeTo, profile, cwd, env, title,
+//                 columns, rows, command})
+//                                -> new terminal ID, or null if relativeTo
+//                                   was not found
+//   executeCommand(target, cmd)  -> false if the terminal was not found
+//   readOutput(target, {lines, scrollback})
+//                                -> output string, or null if not found;
+//                                   scrollback includes history where supported
+//   closeTerminal(target)        -> false if the terminal was not found
+//   listTerminals()              -> { summary, terminalIds, ownedTerminalIds,
+//                                   windows, terminals }, where windows is
+//                                   [{ id, tabs: [{ id, terminalIds }] }] and
+//                                   terminals the info of every terminal
+//   getTerminalInfo(target)      -> { terminalId, window, tab, name, tty,
+//                                   process, busy, cwd, columns, rows,
+//                                   profile, owned }, or null if not found.
+//                                   process, cwd and profile are null when
+//                                   unknown
+//   clearTerminal(target)        -> false if the terminal was not found
+//   sendKeys(target, steps)      -> false if the terminal was not found; steps
+//                                   is [{ data, delay }] with the raw characters
+//                                   to type and a pause in ms after each
+//   getWorkingDirectory(target)  -> shell's current directory, "" if unknown,
+//                                   or null if the terminal was not found
+//   getTty(target)               -> tty device, e.g. /dev/ttys003, or null if
+//                                   the terminal was not found
+//   setOwned(target)             -> tag the terminal as owned by this server;
+//                                   false if it was not found
+//   isOwned(target)              -> whether the terminal carries the owner tag,
+//                                   or null if it was not found
+//   diagnose()                   -> [{ check, ok, detail, code }] describing
+//                                   whether the backend can work here; code
+//                                   is the error code of a failed check
+
+// Window ID of each iTerm session seen by openTerminal or listTerminals:
+// sessionId -> windowId. Lets a lookup search one window before falling
+// back to every window; a stale entry only costs the full search.
+const itermSessionWindows = new Map();
+
+// AppleScript that looks up the session addressed by an iTerm target and
+// stores it in targetSession, with its window in targetWindow. Session IDs
+// are searched across every window, tab and split pane; legacy window/tab
+// targets use the current session of the tab. targetSession stays
+// missing value if nothing matches. Must run inside tell application "iTerm2".
+function itermFindSessionScript(target) {
+  if (target.sessionId) {
+    const searchWindow = (windowRef) => `
+            repeat with aTab in tabs of ${windowRef}
+              repeat with aSession in sessions of aTab
+                if (id of aSession as string) = "${target.sessionId}" then
+                  set targetWindow to contents of ${windowRef}
+                  set targetSession to contents of aSession
+                end if
+              end repeat
+            end repeat`;
+    const cachedWindowId = itermSessionWindows.get(target.sessionId);
+
+    return `
+        set targetSession to missing value
+        ${cachedWindowId ? `
+        try
+          set cachedWindow to window id ${cachedWindowId}
+${searchWindow("cachedWindow")}
+        end try` : ""}
+        if targetSession is missing value then
+          repeat with aWindow in windows
+${searchWindow("aWindow")}
+          end repeat
+        end if
+    `;
+  }
+
+  return `
+        set targetSession to missing value
+        repeat with aWindow in windows
+          if (id of aWindow as string) = "${target.windowId}" then
+            if (count of tabs of aWindow) >= ${target.tabIndex} then
+              set targetWindow to contents of aWindow
+              set targetSession to current session of tab ${target.tabIndex} of aWindow
+            end if
+            exit repeat
+          end if
+        end repeat
+    `;
+}
+
+// Wrap an AppleScript snippet so it runs inside the session addressed by an
+// iTerm target. Fails with itermNotRunning rather than launching iTerm2.
+function itermSessionScript(target, body) {
+  return `
+      if application "iTerm2" is not running then
+        return "${itermNotRunning}"
+      end if
+      tell application "iTerm2"
+${itermFindSessionScript(target)}
+        if targetSession is missing value then
+          return "Session not found"
+        end if
+        tell targetSession
+${body}
+        end tell
+      end tell
+    `;
+}
+
+// iTerm user variable set to "1" on sessions this server owns. A shell can
+// set it too, with iTerm's SetUserVar escape sequence.
+const itermOwnerVariable = "user.mcpOwned";
+
+// AppleScript that appends the fields of a session's info to infoText, each
+// followed by character id 31. itermTerminalInfo reads them back.
+function itermSessionInfoScript(session) {
+  return `
+          tell ${session}
+            set infoValues to {id, name, tty, (variable named "session.jobName"), is processing, (variable named "session.path"), columns, rows, profile name, (variable named "${itermOwnerVariable}")}
+          end tell
+          repeat with infoValue in infoValues
+            set fieldValue to contents of infoValue
+            if fieldValue is missing value then
+              set fieldValue to ""
+            end if
+            set infoText to infoText & (fieldValue as string) & (character id 31)
+          end repeat`;
+}
+
+// Terminal info from a window ID, a tab index and the fields written by
+// itermSessionInfoScript
+function itermTerminalInfo([windowId, tabIndex, sessionId, name, tty, process, busy, cwd, columns, rows, profile, owner]) {
+  return {
+    terminalId: `iterm-${sessionId}`,
+    window: windowId,
+    tab: tabIndex,
+    name,
+    tty,
+    process: process || null,
+    busy: busy === "true",
+    cwd: cwd || null,
+    columns: parseInt(columns),
+    rows: parseInt(rows),
+    profile: profile || null,
+    owned: owner === "1",
+  };
+}
+
+function isITermNotFound(result) {
+  return result === "Session not found";
+}
+
+const itermBackend = {
+  name: "iterm",
+  label: "iTerm",
+  levels: ["Window", "Tab"],
+
+  // Terminal IDs carry the iTerm session's unique ID, e.g.
+  // iterm-6B29C1A4-0F4E-4D3B-9F57-2C1D8E0A4B7F, so they keep pointing at the
+  // same session when tabs are moved, closed or split. The old
+  // iterm-<windowId>-<tabIndex> format is still accepted.
+  parseTerminalId(terminalId) {
+    const sessionMatch = terminalId.match(/^iterm-([0-9A-F]{8}(?:-[0-9A-F]{4}){3}-[0-9A-F]{12})$/i);
+    if (sessionMatch) {
+      return { sessionId: sessionMatch[1] };
+    }
+
+    const match = terminalId.match(/^iterm-(\d+)-(\d+)$/);
+    if (!match) {
+      return null;
+    }
+    return { windowId: match[1], tabIndex: parseInt(match[2]) };
+  },
+
+  async openTerminal({ placement = "window", relativeTo, profile, cwd, env, title, columns, rows, command } = {}) {
+    const withProfile = profile ? `with profile "${escapeForAppleScript(profile)}"` : "with default profile";
+
+    // AppleScript that creates the new session and stores it in newSession
+    let create;
+    if (placement === "window") {
+      create = `
+      set targetWindow to (create window ${withProfile})
+      set newSession to current session of current tab of targetWindow
+      `;
+    } else {
+      create = `
+${itermFindSessionScript(relativeTo)}
+      if targetSession is missing value then
+        return "Session not found"
+      end if
+      ${placement === "tab" ? `
+      tell targetWindow
+        set newTab to (create tab ${withProfile})
+      end tell
+      set newSession to current session of newTab
+      ` : `
+      tell targetSession
+        set newSession to (${placement === "split-vertical" ? "split vertically" : "split horizontally"} ${withProfile})
+      end tell
+      `}
+      `;
+    }
+
+    // Bring the new session into the requested state before returning its ID.
+    // Typed lines queue up in the pty until the shell has started.
+    const setupLine = shellSetupLine({ cwd, env });
+    const setup = [
+      // Tag the session as ours; see itermOwnerVariable
+      `set variable named "${itermOwnerVariable}" to "1"`,
+      columns ? `set columns to ${columns}` : "",
+      rows ? `set rows to ${rows}` : "",
+      title ? `set name to "${escapeForAppleScript(title)}"` : "",
+      setupLine ? `write text "${escapeForAppleScript(setupLine)}"` : "",
+      command ? `write text "${escapeForAppleScript(command)}"` : "",
+    ].filter(Boolean);
+    if (setup.length > 0) {
+      create += `
+      tell newSession
+        ${setup.join("\n        ")}
+      end tell
+      `;
+    }
+
+    // Create the iTerm session and get its ID with focus restoration
+    const script = `
     -- Store the current frontmost application and window
     tell application "System Events"
       set originalApp to name of first application process whose frontmost is true
     end tell
-    
+
     -- If the original app is iTerm, save the current window
     if originalApp is "iTerm2" then
       tell application "iTerm2"
@@ -69,25 +912,14 @@ server.tool(
         end if
       end tell
     end if
-    
-    -- Create new window
+
+    -- Create the new window, tab or split pane
     tell application "iTerm2"
-      set newWindow to (create window with default profile)
-      
-      tell newWindow
-        -- For a new window, the tab index is always 1
-        set tabIndex to 1
-        
-        -- Get the session ID (no need to write anything)
-        tell current session of current tab
-          set sessionId to id
-        end tell
-        
-        -- Store the return value
-        set returnValue to (id of newWindow as string) & "|" & tabIndex & "|" & sessionId
-      end tell
+${create}
+      -- Store the session and window IDs as the return value
+      set returnValue to (id of newSession as string) & "|" & (id of targetWindow as string)
     end tell
-    
+
     -- Restore focus to the original application/window
     if originalApp is "iTerm2" then
       tell application "iTerm2"
@@ -123,619 +955,3698 @@ server.tool(
         -- If activation fails, ignore and continue
       end try
     end if
-    
+
     return returnValue
   `;
-  
-  try {
+
     const result = await executeITermScript(script);
-    const [windowId, tabIndex, sessionId] = result.split("|");
-    
-    // Generate the terminal ID based on window and tab
-    const terminalId = `iterm-${windowId}-${tabIndex}`;
-    
-    return {
-      content: [
-        {
-          type: "text",
-          text: `Terminal opened with ID: ${terminalId}`,
-        },
-      ],
-    };
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: `Failed to open terminal: ${error.message}`,
-        },
-      ],
-    };
-  }
-});
+    if (isITermNotFound(result)) {
+      return null;
+    }
 
-server.tool(
-  "execute-command",
-  "Executes a shell command in the specified terminal as if typed by the user. The command is sent with a newline, so it will be executed immediately. Use this for running programs, changing directories, or any shell command.",
-  {
-    terminalId: z.string().describe("The terminal ID returned from open-terminal or list-terminals"),
-    command: z.string().describe("Shell command to execute (e.g., 'ls -la', 'cd /path', 'npm start'). Will be executed with Enter key automatically."),
+    // Generate the terminal ID from the session's unique ID
+    const [sessionId, windowId] = result.split("|");
+    itermSessionWindows.set(sessionId, windowId);
+    return `iterm-${sessionId}`;
   },
-  async ({ terminalId, command }) => {
-    // Parse the terminal ID to get window and tab
-    const match = terminalId.match(/^iterm-(\d+)-(\d+)$/);
-    if (!match) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Invalid terminal ID format: ${terminalId}`,
-          },
-        ],
-      };
-    }
-    
-    const windowId = match[1];
-    const tabIndex = parseInt(match[2]);
-    
-    // Escape the command for AppleScript
-    const escapedCommand = escapeForAppleScript(command);
-    
-    // Execute command in the specific window/tab using window ID
-    const script = `
-      tell application "iTerm2"
-        -- Find the window by ID
-        repeat with aWindow in windows
-          if (id of aWindow as string) = "${windowId}" then
-            tell aWindow
-              -- Find the tab by index
-              if (count of tabs) >= ${tabIndex} then
-                tell tab ${tabIndex}
-                  tell current session
-                    write text "${escapedCommand}"
+
+  async executeCommand(target, command) {
+    const result = await executeITermScript(itermSessionScript(target, `
+                    write text "${escapeForAppleScript(command)}"
                     return "Command executed"
-                  end tell
-                end tell
-              else
-                return "Tab not found"
-              end if
-            end tell
-            return "Command executed"
-          end if
-        end repeat
-        return "Window not found"
-      end tell
-    `;
-    
-    try {
-      const result = await executeITermScript(script);
-      
-      if (result === "Window not found" || result === "Tab not found") {
+    `));
+    return !isITermNotFound(result);
+  },
+
+  async readOutput(target, { lines, scrollback } = {}) {
+    // contents is the whole scrollback; the visible screen is its last
+    // screenful of lines
+    let keepCount = "";
+    if (!scrollback) {
+      keepCount = `
+                    set keepCount to rows${lines ? `
+                    if ${lines} < keepCount then set keepCount to ${lines}` : ""}`;
+    } else if (lines) {
+      keepCount = `
+                    set keepCount to ${lines}`;
+    }
+    const output = await executeITermScript(itermSessionScript(target, `
+                    set output to contents
+                    ${keepCount ? `
+                    -- Get only the last lines${keepCount}
+                    set outputLines to paragraphs of output
+                    set lineCount to count of outputLines
+                    if lineCount > keepCount then
+                      set startLine to lineCount - keepCount + 1
+                      set output to items startLine thru lineCount of outputLines
+                      set AppleScript's text item delimiters to linefeed
+                      set output to output as string
+                      set AppleScript's text item delimiters to ""
+                    end if
+                    ` : ''}
+                    return output
+    `));
+    return isITermNotFound(output) ? null : output;
+  },
+
+  async closeTerminal(target) {
+    // Close just this session; iTerm closes the tab or window with its last session
+    const result = await executeITermScript(itermSessionScript(target, `
+          close
+          return "Closed"
+    `));
+    return !isITermNotFound(result);
+  },
+
+  async listTerminals() {
+    // Get the info of every split-pane session, prefixed with its window ID
+    // and tab index. Fields end with character id 31, sessions with 30.
+    const result = await executeITermScript(`
+      if application "iTerm2" is not running then
+        return "${itermNotRunning}"
+      end if
+      tell application "iTerm2"
+        set sessionList to ""
+        repeat with aWindow in windows
+          set windowId to id of aWindow as string
+          set tabIndex to 0
+          repeat with aTab in tabs of aWindow
+            set tabIndex to tabIndex + 1
+            repeat with aSession in sessions of aTab
+              set infoText to windowId & (character id 31) & tabIndex & (character id 31)
+${itermSessionInfoScript("aSession")}
+              set sessionList to sessionList & infoText & (character id 30)
+            end repeat
+          end repeat
+        end repeat
+        return sessionList
+      end tell
+    `);
+
+    const terminals = result.split("\x1e").filter(Boolean).map((row) => itermTerminalInfo(row.split("\x1f")));
+    for (const { terminalId, window } of terminals) {
+      itermSessionWindows.set(terminalId.slice("iterm-".length), window);
+    }
+    const windows = groupTerminals(terminals.map(({ window, tab, terminalId }) => [window, tab, terminalId]));
+    const tabCount = windows.reduce((count, { tabs }) => count + tabs.length, 0);
+    return {
+      summary: `Windows: ${windows.length}, Total tabs: ${tabCount}, Sessions: ${terminals.length}`,
+      terminalIds: terminals.map(({ terminalId }) => terminalId),
+      ownedTerminalIds: terminals.filter(({ owned }) => owned).map(({ terminalId }) => terminalId),
+      windows,
+      terminals,
+    };
+  },
+
+  async getTerminalInfo(target) {
+    const result = await executeITermScript(itermSessionScript(target, `
+          set sessionId to id
+          set tabIndex to 0
+          repeat with candidateIndex from 1 to count of tabs of targetWindow
+            repeat with aSession in sessions of tab candidateIndex of targetWindow
+              if (id of aSession) is sessionId then
+                set tabIndex to candidateIndex
+              end if
+            end repeat
+          end repeat
+          set infoText to (id of targetWindow as string) & (character id 31) & tabIndex & (character id 31)
+${itermSessionInfoScript("targetSession")}
+          return infoText
+    `));
+    return isITermNotFound(result) ? null : itermTerminalInfo(result.split("\x1f"));
+  },
+
+  async clearTerminal(target) {
+    const result = await executeITermScript(itermSessionScript(target, `
+                    write text "clear"
+                    return "Cleared"
+    `));
+    return !isITermNotFound(result);
+  },
+
+  async sendKeys(target, steps) {
+    // Send the whole sequence in one script, pausing between steps as asked
+    const body = steps.map(({ data, delay }) => `
+          write text ${appleScriptString(data)} newline NO${delay ? `
+          delay ${delay / 1000}` : ""}`).join("");
+
+    const result = await executeITermScript(itermSessionScript(target, `${body}
+          return "Keys sent"
+    `));
+    return !isITermNotFound(result);
+  },
+
+  async getWorkingDirectory(target) {
+    // session.path is kept up to date by iTerm's shell integration or its
+    // own working directory polling
+    const result = await executeITermScript(itermSessionScript(target, `
+          set currentPath to (variable named "session.path")
+          if currentPath is missing value then
+            return ""
+          end if
+          return currentPath
+    `));
+    return isITermNotFound(result) ? null : result;
+  },
+
+  async getTty(target) {
+    const result = await executeITermScript(itermSessionScript(target, `
+          return tty
+    `));
+    return isITermNotFound(result) ? null : result;
+  },
+
+  async setOwned(target) {
+    const result = await executeITermScript(itermSessionScript(target, `
+          set variable named "${itermOwnerVariable}" to "1"
+          return "Owned"
+    `));
+    return !isITermNotFound(result);
+  },
+
+  async isOwned(target) {
+    const result = await executeITermScript(itermSessionScript(target, `
+          return variable named "${itermOwnerVariable}"
+    `));
+    return isITermNotFound(result) ? null : result === "1";
+  },
+
+  async diagnose() {
+    const checks = [];
+    const failed = (check, error) => checks.push({ check, ok: false, detail: error.message, code: errorCode(error) });
+
+    try {
+      await executeITermScript("return 1");
+      checks.push({ check: "osascript", ok: true, detail: "available" });
+    } catch (error) {
+      failed("osascript", error);
+      return checks;
+    }
+
+    try {
+      if (await executeITermScript(`return application "iTerm2" is running`) !== "true") {
+        checks.push({ check: "iTerm2 running", ok: false, detail: itermNotRunning, code: "iterm-not-running" });
+        return checks;
+      }
+      checks.push({ check: "iTerm2 running", ok: true, detail: "running" });
+    } catch (error) {
+      failed("iTerm2 running", error);
+      return checks;
+    }
+
+    // Asking iTerm2 anything fails with -1743 without Automation permission
+    let version;
+    try {
+      version = await executeITermScript(`tell application "iTerm2" to return version`);
+      checks.push({ check: "Automation permission", ok: true, detail: "granted" });
+    } catch (error) {
+      failed("Automation permission", error);
+      return checks;
+    }
+
+    // Session variables such as session.path arrived in iTerm2 3.3
+    const [major, minor] = version.split(".").map((part) => parseInt(part) || 0);
+    const supported = major > 3 || (major === 3 && minor >= 3);
+    checks.push({
+      check: "iTerm2 version",
+      ok: supported,
+      detail: supported ? version : `${version} (3.3 or later is needed)`,
+      code: supported ? undefined : "error",
+    });
+    return checks;
+  },
+};
+
+const tmuxBackend = {
+  name: "tmux",
+  label: "tmux",
+  levels: ["Session", "Window"],
+
+  // tmux terminal IDs wrap the pane ID, e.g. tmux-12 for pane %12
+  parseTerminalId(terminalId) {
+    const match = terminalId.match(/^tmux-(\d+)$/);
+    if (!match) {
+      return null;
+    }
+    return { paneId: `%${match[1]}` };
+  },
+
+  // A tmux session plays the part of an iTerm window and a tmux window the
+  // part of a tab
+  // tmux has no profiles, so profile is ignored.
+  async openTerminal({ placement = "window", relativeTo, cwd, env = {}, title, columns, rows, command } = {}) {
+    try {
+      let args;
+      if (placement === "window") {
+        args = [
+          "new-session", "-d",
+          "-x", String(columns || config.tmux?.columns || 200),
+          "-y", String(rows || config.tmux?.rows || 50),
+        ];
+      } else if (placement === "tab") {
+        // new-window needs a window target, not a pane
+        const windowIds = await executeTmux(["list-panes", "-t", relativeTo.paneId, "-F", "#{window_id}"]);
+        args = ["new-window", "-d", "-a", "-t", windowIds.split("\n")[0]];
+      } else {
+        // tmux -h puts the panes side by side, like iTerm's split vertically
+        args = ["split-window", "-d", placement === "split-vertical" ? "-h" : "-v", "-t", relativeTo.paneId];
+      }
+
+      if (title && placement !== "split-vertical" && placement !== "split-horizontal") {
+        args.push("-n", title);
+      }
+      if (cwd) {
+        args.push("-c", cwd);
+      }
+      for (const [name, value] of Object.entries(env)) {
+        args.push("-e", `${name}=${value}`);
+      }
+
+      const paneId = (await executeTmux([...args, "-P", "-F", "#{pane_id}"])).trim();
+      const target = { paneId };
+      await executeTmux(["set-option", "-p", "-t", paneId, tmuxOwnerOption, "1"]);
+
+      if (title) {
+        await executeTmux(["select-pane", "-t", paneId, "-T", title]);
+      }
+      if (placement !== "window" && (columns || rows)) {
+        await executeTmux(["resize-pane", "-t", paneId,
+          ...(columns ? ["-x", String(columns)] : []),
+          ...(rows ? ["-y", String(rows)] : [])]);
+      }
+      if (command) {
+        await tmuxSend(target, ...tmuxLiteralKeys(command), ["Enter"]);
+      }
+
+      return `tmux-${paneId.slice(1)}`;
+    } catch (error) {
+      if (isTmuxNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  async executeCommand(target, command) {
+    return tmuxSend(target, ...tmuxLiteralKeys(command), ["Enter"]);
+  },
+
+  async readOutput({ paneId }, { lines, scrollback } = {}) {
+    // -J joins wrapped lines; -S - starts the capture at the top of the history
+    const args = ["capture-pane", "-p", "-J", "-t", paneId];
+    if (scrollback) {
+      // Only as much history as needed for the last lines
+      args.push("-S", lines ? `-${lines}` : "-");
+    }
+
+    try {
+      const output = await executeTmux(args);
+      // Match iTerm, which does not report the blank rows below the prompt
+      return lastLines(output.trimEnd(), lines);
+    } catch (error) {
+      if (isTmuxNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  async closeTerminal({ paneId }) {
+    try {
+      await executeTmux(["kill-pane", "-t", paneId]);
+      return true;
+    } catch (error) {
+      if (isTmuxNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  async listTerminals() {
+    let output = "";
+    try {
+      output = await executeTmux(["list-panes", "-a", "-F", `#{pane_id}\x1f${tmuxInfoFormat}`]);
+    } catch (error) {
+      // No tmux server simply means there are no terminals yet
+      if (!isTmuxNotFound(error)) {
+        throw error;
+      }
+    }
+
+    const terminals = output.split("\n").filter(Boolean).map((line) => {
+      const [paneId, ...fields] = line.split("\x1f");
+      return tmuxTerminalInfo(paneId, fields);
+    });
+    const windows = groupTerminals(terminals.map(({ window, tab, terminalId }) => [window, tab, terminalId]));
+    const windowCount = windows.reduce((count, { tabs }) => count + tabs.length, 0);
+    return {
+      summary: `Sessions: ${windows.length}, Total windows: ${windowCount}, Panes: ${terminals.length}`,
+      terminalIds: terminals.map(({ terminalId }) => terminalId),
+      ownedTerminalIds: terminals.filter(({ owned }) => owned).map(({ terminalId }) => terminalId),
+      windows,
+      terminals,
+    };
+  },
+
+  async getTerminalInfo(target) {
+    const fields = await tmuxPaneFormat(target, tmuxInfoFormat);
+    return fields === null ? null : tmuxTerminalInfo(target.paneId, fields.split("\x1f"));
+  },
+
+  async clearTerminal(target) {
+    return tmuxSend(target, ["-l", "--", "clear"], ["Enter"]);
+  },
+
+  async sendKeys(target, steps) {
+    for (const { data, delay } of steps) {
+      // -H sends the raw bytes, so control characters and escape
+      // sequences arrive exactly as iTerm would send them
+      if (!(await tmuxSend(target, ["-H", ...Buffer.from(data).toString("hex").match(/../g)]))) {
+        return false;
+      }
+      if (delay) {
+        await sleep(delay);
+      }
+    }
+    return true;
+  },
+
+  async getWorkingDirectory(target) {
+    return tmuxPaneFormat(target, "#{pane_current_path}");
+  },
+
+  async getTty(target) {
+    return tmuxPaneFormat(target, "#{pane_tty}");
+  },
+
+  async setOwned({ paneId }) {
+    try {
+      await executeTmux(["set-option", "-p", "-t", paneId, tmuxOwnerOption, "1"]);
+      return true;
+    } catch (error) {
+      if (isTmuxNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  async isOwned(target) {
+    const owner = await tmuxPaneFormat(target, `#{${tmuxOwnerOption}}`);
+    return owner === null ? null : owner === "1";
+  },
+
+  async diagnose() {
+    const checks = [];
+    try {
+      const version = await executeTmux(["-V"]);
+      checks.push({ check: "tmux", ok: true, detail: version.trim() });
+    } catch (error) {
+      checks.push({ check: "tmux", ok: false, detail: error.message, code: errorCode(error) });
+      return checks;
+    }
+
+    try {
+      const sessions = await executeTmux(["list-sessions", "-F", "#{session_name}"]);
+      checks.push({ check: "tmux server", ok: true, detail: `running with ${sessions.split("\n").filter(Boolean).length} sessions` });
+    } catch (error) {
+      if (!isTmuxNotFound(error)) {
+        checks.push({ check: "tmux server", ok: false, detail: error.message, code: errorCode(error) });
+        return checks;
+      }
+      checks.push({ check: "tmux server", ok: true, detail: "not running yet, open-terminal starts it" });
+    }
+    return checks;
+  },
+};
+
+// Pane option set to 1 on panes this server owns
+const tmuxOwnerOption = "@mcp_owned";
+
+// Pane fields read for terminal info, separated by \x1f
+const tmuxInfoFormat = [
+  "#{session_name}", "#{window_index}", "#{pane_title}", "#{pane_tty}", "#{pane_current_command}",
+  "#{pane_current_path}", "#{pane_width}", "#{pane_height}", `#{${tmuxOwnerOption}}`,
+].join("\x1f");
+
+// Foreground commands that mean a pane is sitting at its shell prompt
+const shellCommands = new Set(["bash", "zsh", "sh", "dash", "fish", "ksh", "tcsh", "csh"]);
+
+// Terminal info from a pane ID and the fields of tmuxInfoFormat. tmux has
+// no profiles, and a pane counts as busy when anything but a shell runs in
+// the foreground.
+function tmuxTerminalInfo(paneId, [sessionName, windowIndex, title, tty, command, cwd, columns, rows, owner]) {
+  return {
+    terminalId: `tmux-${paneId.slice(1)}`,
+    window: sessionName,
+    tab: windowIndex,
+    name: title,
+    tty,
+    process: command || null,
+    busy: Boolean(command) && !shellCommands.has(command.replace(/^-/, "")),
+    cwd: cwd || null,
+    columns: parseInt(columns),
+    rows: parseInt(rows),
+    profile: null,
+    owned: owner === "1",
+  };
+}
+
+// Read a tmux format for one pane; null if the pane does not exist
+async function tmuxPaneFormat({ paneId }, format) {
+  try {
+    // list-panes fails for a missing pane, display-message would not
+    const output = await executeTmux(["list-panes", "-t", paneId, "-F", `#{pane_id} ${format}`]);
+    const line = output.split("\n").find((paneLine) => paneLine.startsWith(`${paneId} `));
+    return line ? line.slice(paneId.length + 1) : null;
+  } catch (error) {
+    if (isTmuxNotFound(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// tmux refuses commands over about 16KB, so long text is typed in pieces
+// of at most this many characters
+const tmuxMaxLiteralLength = 2048;
+
+// send-keys arguments that type text literally, one invocation per piece
+function tmuxLiteralKeys(text) {
+  const pieces = [];
+  let start = 0;
+  do {
+    let end = start + tmuxMaxLiteralLength;
+    // Keep surrogate pairs together
+    if (/[\ud800-\udbff]/.test(text.charAt(end - 1))) {
+      end++;
+    }
+    pieces.push(["-l", "--", text.slice(start, end)]);
+    start = end;
+  } while (start < text.length);
+  return pieces;
+}
+
+// Run one or more tmux send-keys invocations against a pane in order.
+// Returns false if the pane does not exist.
+async function tmuxSend({ paneId }, ...keyArgs) {
+  try {
+    for (const args of keyArgs) {
+      await executeTmux(["send-keys", "-t", paneId, ...args]);
+    }
+    return true;
+  } catch (error) {
+    if (isTmuxNotFound(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+const backends = {
+  iterm: itermBackend,
+  tmux: tmuxBackend,
+};
+
+// Pick the backend: a dry run always records iTerm2 scripts, otherwise
+// ITERM_MCP_BACKEND wins over the config file, and without either we use
+// iTerm2 on macOS and tmux everywhere else
+function selectBackend() {
+  const name = dryRun ? "iterm" : process.env.ITERM_MCP_BACKEND || config.backend
+    || (process.platform === "darwin" ? "iterm" : "tmux");
+
+  if (!backends[name]) {
+    throw new Error(`Unknown terminal backend "${name}". Use one of: ${Object.keys(backends).join(", ")}`);
+  }
+  return backends[name];
+}
+
+const backend = selectBackend();
+
+// Command policy
+//
+// Every command typed into a terminal is checked against the "policy"
+// section of the config file before it is sent:
+//
+//   deny                 regexes that always refuse a command
+//   allow                if not empty, every command must match one of these
+//   requireConfirmation  regexes that need the user's confirmation first
+//   directories          directories commands may run in, for all terminals
+//   terminals            per-terminal overrides: { "<terminalId>": { directories } }
+//
+// Compound commands are split on ;, &&, ||, | and newlines, and each part
+// is checked on its own, so "git status; rm -rf ~" does not pass an allow
+// rule for git status. This is a guard rail, not a sandbox: it does not
+// parse the shell language fully.
+
+function expandHome(dir) {
+  return dir === "~" || dir.startsWith("~/") ? join(homedir(), dir.slice(1)) : dir;
+}
+
+// Compile the policy once at startup. A broken rule stops the server rather
+// than silently turning a security rule off.
+function loadPolicy(policyConfig = {}) {
+  const compile = (sources = []) => sources.map((source) => {
+    try {
+      return { source, regex: new RegExp(source) };
+    } catch (error) {
+      throw new Error(`Invalid policy rule /${source}/: ${error.message}`);
+    }
+  });
+  const terminals = {};
+  for (const [terminalId, rules] of Object.entries(policyConfig.terminals || {})) {
+    terminals[terminalId] = { directories: (rules.directories || []).map(expandHome) };
+  }
+
+  return {
+    deny: compile(policyConfig.deny),
+    allow: compile(policyConfig.allow),
+    requireConfirmation: compile(policyConfig.requireConfirmation),
+    directories: (policyConfig.directories || []).map(expandHome),
+    terminals,
+  };
+}
+
+const policy = loadPolicy(config.policy);
+
+// Split a command line on the list and pipe operators: ;, &&, ||, |, |&,
+// a lone & and newlines. The & in redirections like 2>&1 and &> stays.
+function splitCommand(command) {
+  return command.split(/;|&&|\|\||\|&?|(?<![<>])&(?!>)|\n/).map((part) => part.trim()).filter(Boolean);
+}
+
+// Command and process substitution: $(...), `...`, <(...) and >(...)
+const substitutionPattern = /\$\(|`|[<>]\(/;
+
+function isInsideDirectory(dir, allowed) {
+  const relativePath = relative(resolve(allowed), resolve(dir));
+  return relativePath === "" || (!relativePath.startsWith("..") && !isAbsolute(relativePath));
+}
+
+// Check a command against the policy. Returns null if it may run, or a
+// refusal { ruleType, rule, reason } saying which rule stopped it.
+// Pass cwd when the terminal does not exist yet.
+async function checkCommandPolicy(terminalId, target, command, { cwd } = {}) {
+  const parts = splitCommand(command);
+
+  for (const { source, regex } of policy.deny) {
+    if (regex.test(command) || parts.some((part) => regex.test(part))) {
+      return { ruleType: "deny", rule: source, reason: `Command matches deny rule /${source}/` };
+    }
+  }
+
+  if (policy.allow.length > 0) {
+    // A substitution runs a command of its own that the allow rules never
+    // see, so with an allow list they are refused outright
+    if (substitutionPattern.test(command)) {
+      return { ruleType: "allow", rule: null, reason: "Command and process substitution ($(...), backticks, <(...), >(...)) are not allowed when allow rules are set" };
+    }
+    const unmatched = parts.find((part) => !policy.allow.some(({ regex }) => regex.test(part)));
+    if (unmatched !== undefined) {
+      return { ruleType: "allow", rule: null, reason: `"${unmatched}" does not match any allow rule` };
+    }
+  }
+
+  const directories = (terminalId && policy.terminals[terminalId]?.directories) || policy.directories;
+  if (directories.length > 0) {
+    if (cwd === undefined) {
+      cwd = await backend.getWorkingDirectory(target);
+    }
+    if (!cwd) {
+      return { ruleType: "directories", rule: null, reason: "The terminal's working directory is unknown, so the directory restriction cannot be checked" };
+    }
+
+    // Check where the command runs and every directory it changes into
+    let dir = cwd;
+    for (const part of parts) {
+      const cdMatch = part.match(/^cd(?:\s+(.+))?$/);
+      if (cdMatch) {
+        const cdTarget = (cdMatch[1] || "~").replace(/^(['"])(.*)\1$/, "$2");
+        dir = resolve(dir, expandHome(cdTarget));
+      }
+      if (!directories.some((allowed) => isInsideDirectory(dir, allowed))) {
+        return { ruleType: "directories", rule: directories.join(", "), reason: `Commands may not run in ${dir}` };
+      }
+    }
+  }
+
+  for (const { source, regex } of policy.requireConfirmation) {
+    if (regex.test(command) || parts.some((part) => regex.test(part))) {
+      if (await confirmCommand(terminalId, command, source)) {
+        return null;
+      }
+      return { ruleType: "requireConfirmation", rule: source, reason: `Command matches confirmation rule /${source}/ and was not confirmed by the user` };
+    }
+  }
+
+  return null;
+}
+
+// Ask the user, not the model, to confirm a command through MCP elicitation.
+// Clients without elicitation support cannot confirm, so the command is refused.
+async function confirmCommand(terminalId, command, rule) {
+  return confirmWithUser(`Allow this command in ${terminalId}? It matches the confirmation rule /${rule}/.\n\n${command}`, "Run the command");
+}
+
+// Ask the user of the client making the current tool call a yes/no question
+// through MCP elicitation. Counts as "no" if the client cannot ask.
+async function confirmWithUser(message, title) {
+  const server = operationContext.getStore()?.server;
+  if (!server?.server.getClientCapabilities()?.elicitation) {
+    return false;
+  }
+
+  try {
+    const result = await server.server.elicitInput({
+      message,
+      requestedSchema: {
+        type: "object",
+        properties: {
+          confirm: {
+            type: "boolean",
+            title,
+          },
+        },
+        required: ["confirm"],
+      },
+    });
+    return result.action === "accept" && result.content?.confirm === true;
+  } catch (error) {
+    console.error("User confirmation failed:", error);
+    return false;
+  }
+}
+
+function policyRefusal(terminalId, command, refusal) {
+  return toolError("policy-denied", `Command refused by policy in ${terminalId}: ${refusal.reason}`, { terminalId, command, ...refusal });
+}
+
+// Text typed through send-keys since the last enter, per terminal, so the
+// line can be checked against the policy when it is submitted
+const typedLines = new Map();
+
+// Pause for ms, or until the current tool call is cancelled
+function sleep(ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stop();
+      resolve();
+    }, ms);
+    const stop = onCancelled(() => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    });
+  });
+}
+
+// Expand send-keys steps into { steps, labels }: steps is [{ data, delay }]
+// for the backend and labels describes each step as given. String steps are
+// keys; "down x5" repeats a key five times. Names that are not keys are
+// typed as text, as send-keys always did.
+function parseKeySteps(sequence, defaultDelay) {
+  const steps = [];
+  const labels = [];
+  for (const step of sequence) {
+    let { keys, text, repeat = 1, delay = defaultDelay } = typeof step === "string" ? { keys: step } : step;
+
+    let data;
+    if (text !== undefined) {
+      data = text;
+      labels.push(`text "${text}"`);
+    } else if (keys) {
+      const repeatMatch = keys.match(/^(.+?)\s+x(\d+)$/);
+      if (repeatMatch) {
+        keys = repeatMatch[1];
+        repeat *= parseInt(repeatMatch[2]);
+      }
+      data = encodeKey(keys) ?? keys;
+      labels.push(repeat > 1 ? `${keys} x${repeat}` : keys);
+    } else {
+      throw new Error(`Sequence step needs keys or text: ${JSON.stringify(step)}`);
+    }
+
+    for (let count = 0; count < repeat; count++) {
+      steps.push({ data, delay });
+    }
+  }
+
+  // No pause after the last step
+  if (steps.length > 0) {
+    steps[steps.length - 1] = { ...steps[steps.length - 1], delay: 0 };
+  }
+  return { steps, labels };
+}
+
+// Lines read from the end of a terminal's buffer on each poll, instead of
+// the whole scrollback
+const pollLines = 200;
+
+// Run a command and block until it finishes. The command is wrapped in
+// printf sentinels carrying a random marker; the marker is passed as a
+// printf argument so the echoed command line never matches, only the
+// lines the shell actually prints. The end sentinel carries $? so we get
+// the exit status (this needs a POSIX-style shell such as bash or zsh).
+//
+// The command goes in a { ... } group on lines of its own, so a trailing
+// & or # comment cannot swallow the end sentinel, and the shell reads the
+// whole group before running it, so a command reading stdin cannot either.
+//
+// input is sent as further lines after the command line, e.g. the body of
+// a here-document the command reads. With paste, everything is sent as one
+// bracketed paste so the shell reads it as a whole instead of line by line.
+//
+// Only output after the end of the buffer at the time of sending counts. If
+// the start sentinel never shows up there, the command has not started
+// (the terminal is busy, or the shell rejected the line); if that part of
+// the buffer has been trimmed away, the start of the output scrolled out.
+//
+// Polls read only the last pollLines lines; the whole scrollback is read
+// once, when the end sentinel shows up or the timeout is reached.
+async function runCommandAndWait(target, command, { timeout = 30000, pollInterval = 250, input, paste } = {}) {
+  const marker = randomBytes(6).toString("hex");
+  const startLine = `__MCP_${marker}_START__`;
+  const endPattern = new RegExp(`^__MCP_${marker}_END_(\\d+)__$`);
+  let body = command.trimEnd();
+  if (input !== undefined) {
+    body += `\n${input}`;
+  }
+  const wrapped = `printf '__MCP_%s_START__\\n' ${marker}; {\n${body}\n}; printf '\\n__MCP_%s_END_%s__\\n' ${marker} "$?"`;
+
+  const before = await backend.readOutput(target, { scrollback: true, lines: pollLines });
+  if (before === null) {
+    return { found: false };
+  }
+  // The last line is the prompt, which the command is typed onto
+  const beforeLines = before.split("\n");
+  const mark = bufferMark(beforeLines, beforeLines.length - 1);
+
+  const startTime = Date.now();
+  const sent = paste
+    ? await backend.sendKeys(target, [{ data: `\x1b[200~${wrapped}\x1b[201~\r`, delay: 0 }])
+    : await backend.executeCommand(target, wrapped);
+  if (!sent) {
+    return { found: false };
+  }
+
+  while (true) {
+    await sleep(pollInterval);
+
+    const tail = await backend.readOutput(target, { scrollback: true, lines: pollLines });
+    if (tail === null) {
+      return { found: false };
+    }
+    if (!tail.split("\n").some((line) => endPattern.test(line)) && Date.now() - startTime < timeout) {
+      continue;
+    }
+
+    const output = await backend.readOutput(target, { scrollback: true });
+    if (output === null) {
+      return { found: false };
+    }
+
+    const lines = output.split("\n");
+    // The mark was taken on the end of the buffer, not the whole of it, so
+    // search for it from the bottom
+    const from = findBufferMark(lines, { ...mark, position: lines.length });
+    const startIndex = lines.indexOf(startLine, Math.max(from, 0));
+    // Without a start marker the beginning has scrolled out of reach
+    const truncated = startIndex === -1 && from === -1;
+    const started = startIndex !== -1 || truncated;
+    const endIndex = started ? lines.findIndex((line, index) => index > startIndex && endPattern.test(line)) : -1;
+    const outputLines = started ? lines.slice(startIndex + 1, endIndex === -1 ? undefined : endIndex) : [];
+
+    if (endIndex !== -1) {
+      // Drop the blank line the end sentinel adds after output ending in a newline
+      if (outputLines.length > 0 && outputLines[outputLines.length - 1] === "") {
+        outputLines.pop();
+      }
+      return {
+        found: true,
+        started: true,
+        completed: true,
+        exitCode: parseInt(lines[endIndex].match(endPattern)[1]),
+        output: outputLines.join("\n"),
+        truncated,
+        duration: Date.now() - startTime,
+      };
+    }
+
+    if (Date.now() - startTime >= timeout) {
+      return {
+        found: true,
+        started,
+        completed: false,
+        output: outputLines.join("\n"),
+        truncated,
+        duration: Date.now() - startTime,
+      };
+    }
+  }
+}
+
+// Per-terminal read position for read-output's sinceLastRead mode:
+// terminalId -> { position, anchor, lastLine }. The last line returned is
+// read again next time because it is usually an unfinished prompt line.
+const readPositions = new Map();
+
+// Number of lines before a buffer position that are kept to find it again
+const anchorLines = 5;
+
+// Mark a position in a terminal buffer by the lines just before it. Once
+// the scrollback is full, old lines drop off the top and line indexes
+// shift, so a bare index would point at the wrong line.
+function bufferMark(lines, position) {
+  return { position, anchor: lines.slice(Math.max(position - anchorLines, 0), position) };
+}
+
+// Find a marked position in the current buffer: the nearest place at or
+// before the old index that follows the anchor lines. Returns -1 if the
+// anchor is gone because the buffer was cleared or trimmed past it.
+function findBufferMark(lines, { position, anchor }) {
+  if (anchor.length === 0) {
+    return position === 0 ? 0 : -1;
+  }
+  for (let index = Math.min(position, lines.length); index >= anchor.length; index--) {
+    if (anchor.every((line, i) => lines[index - anchor.length + i] === line)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+// Mark the end of a terminal's buffer so that only lines added later are
+// looked at. The last line is usually the unfinished prompt line, so it
+// counts as new once it changes.
+function endMark(lines) {
+  return { ...bufferMark(lines, lines.length - 1), lastLine: lines[lines.length - 1] };
+}
+
+// Index of the first line added after an endMark, or 0 if the marked part
+// of the buffer has been cleared or trimmed away
+function newLinesStart(lines, mark) {
+  const index = findBufferMark(lines, mark);
+  if (index === -1) {
+    return 0;
+  }
+  return lines[index] === mark.lastLine ? index + 1 : index;
+}
+
+// Take lines from start onwards until limit or maxBytes is reached.
+// Returns the index after the last line taken.
+function takeLines(lines, start, end, maxBytes) {
+  let index = start;
+  let bytes = 0;
+  while (index < end) {
+    bytes += Buffer.byteLength(lines[index]) + 1;
+    // Always return at least one line, or a huge line would stall paging
+    if (maxBytes && bytes > maxBytes && index > start) {
+      break;
+    }
+    index++;
+  }
+  return index;
+}
+
+function readPage(lines, { from, offset, limit, maxBytes, cursor }) {
+  let start;
+  let end;
+  if (cursor !== undefined) {
+    // "position:end" keeps the end of the window being paged, so an offset
+    // from the bottom still holds; a bare position reads to the end
+    const [position, windowEnd] = String(cursor).split(":");
+    end = Math.min(parseInt(windowEnd) || lines.length, lines.length);
+    start = Math.min(parseInt(position) || 0, end);
+    end = limit ? Math.min(start + limit, end) : end;
+  } else if (from === "top") {
+    start = Math.min(offset, lines.length);
+    end = limit ? Math.min(start + limit, lines.length) : lines.length;
+  } else {
+    end = Math.max(lines.length - offset, 0);
+    start = limit ? Math.max(end - limit, 0) : 0;
+  }
+
+  const stop = takeLines(lines, start, end, maxBytes);
+  const more = stop < end ? `\nMore output available, continue with cursor: ${stop}:${end}` : "";
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Lines ${start + 1}-${stop} of ${lines.length}${more}\n${lines.slice(start, stop).join("\n")}`,
+      },
+    ],
+  };
+}
+
+function readSinceLastRead(terminalId, lines, { limit, maxBytes }) {
+  const saved = readPositions.get(terminalId);
+  let position = saved ? findBufferMark(lines, saved) : 0;
+  let lastLine = saved?.lastLine ?? null;
+  let note = "";
+
+  // The last read position is gone (cleared, or trimmed by new output), so
+  // start again from the top
+  if (position === -1 || position > lines.length - 1) {
+    position = 0;
+    lastLine = null;
+    note = "\n(the last read position is no longer in the buffer, reading from the top)";
+  }
+
+  const end = limit ? Math.min(position + limit, lines.length) : lines.length;
+  const stop = takeLines(lines, position, end, maxBytes);
+  const newLines = lines.slice(position, stop);
+
+  if (stop === lines.length) {
+    readPositions.set(terminalId, { ...bufferMark(lines, lines.length - 1), lastLine: lines[lines.length - 1] });
+  } else {
+    readPositions.set(terminalId, { ...bufferMark(lines, stop), lastLine: null });
+  }
+
+  if (newLines.length === 1 && newLines[0] === lastLine) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "No new output",
+        },
+      ],
+    };
+  }
+
+  const more = stop < lines.length ? "\nMore new output available, call again to continue" : "";
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `New lines ${position + 1}-${stop} of ${lines.length}${note}${more}\n${newLines.join("\n")}`,
+      },
+    ],
+  };
+}
+
+// What to do about each kind of error. Every failing tool returns an isError
+// result whose structuredContent.error carries one of these codes.
+const errorHints = {
+  "invalid-id": "Use a terminal ID returned by open-terminal or list-terminals.",
+  "invalid-argument": "Check the tool's parameters and try again.",
+  "not-found": "It may have been closed. Use list-terminals to see the open terminals.",
+  "iterm-not-running": "Start iTerm2 and try again, or open a new terminal with open-terminal, which starts it.",
+  "automation-permission-denied": "Allow the app running this server to control iTerm2 in System Settings > Privacy & Security > Automation, then try again.",
+  "backend-unavailable": "osascript or tmux could not be started. The iTerm2 backend needs macOS; elsewhere install tmux and set ITERM_MCP_BACKEND=tmux.",
+  "timeout": "The terminal did not respond in time. Try again, or raise scriptTimeout if iTerm2 is busy.",
+  "policy-denied": "The command policy does not allow this. Use a different command or ask the user to change the policy.",
+  "not-owned": "Only terminals this server opened may be used. Open one with open-terminal, or ask to adopt this one with adopt-terminal.",
+  "file-error": "Check the path and its permissions on the terminal's host.",
+  "cancelled": "The request was cancelled by the client.",
+  "error": "Run the diagnose tool to check the setup.",
+};
+
+function toolError(code, message, { hint = errorHints[code], ...details } = {}) {
+  return {
+    isError: true,
+    content: [
+      {
+        type: "text",
+        text: `${message}\n${hint}`,
+      },
+    ],
+    structuredContent: { error: { code, message, hint, ...details } },
+  };
+}
+
+// Error code for an exception thrown while talking to the terminal
+function errorCode(error) {
+  if (error.timedOut) {
+    return "timeout";
+  }
+  if (error.cancelled) {
+    return "cancelled";
+  }
+  const details = `${error.message}\n${error.stderr || ""}`;
+  if (/\(-1743\)|not authori[sz]ed to send apple events/i.test(details)) {
+    return "automation-permission-denied";
+  }
+  if (/iTerm2 is not running|\(-600\)|\(-609\)/.test(details)) {
+    return "iterm-not-running";
+  }
+  if (error.code === "ENOENT") {
+    return "backend-unavailable";
+  }
+  return "error";
+}
+
+// Result for a tool whose action threw, e.g. toolFailure("read output", error)
+function toolFailure(action, error) {
+  return toolError(errorCode(error), `Failed to ${action}: ${error.message}`);
+}
+
+function invalidTerminalId(terminalId) {
+  return toolError("invalid-id", `Invalid terminal ID format: ${terminalId}`);
+}
+
+function terminalNotFound(terminalId) {
+  return toolError("not-found", `Terminal ${terminalId} not found in ${backend.label}`);
+}
+
+// MCP servers
+//
+// Every connected client gets its own McpServer: one for stdio, one per
+// session over HTTP. They all offer the same tools and resources and share
+// the terminal state in this process, so clients see the same terminals,
+// jobs and queues.
+
+// Tools added with registerTool, set up on each server by createServer
+const toolDefinitions = [];
+
+// Servers with a connected client
+const servers = new Set();
+
+// Tell every connected client that the list of terminal resources changed
+function sendResourceListChanged() {
+  for (const server of servers) {
+    server.sendResourceListChanged();
+  }
+}
+
+// Secret redaction
+//
+// Text returned by tools is scanned for secrets before it reaches the model
+// or the audit log. Each match is replaced by a typed placeholder such as
+// [REDACTED:aws-access-key]. A detector with a named group "secret" only
+// replaces that group, so the variable name in PASSWORD=... stays readable.
+// More detectors come from the redaction.patterns list in the config file;
+// redaction.enabled = false turns redaction off.
+
+const builtinRedactions = [
+  { name: "private-key", regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { name: "aws-access-key", regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: "aws-secret-key", regex: /aws_secret_access_key\s*[=:]\s*(?<secret>[A-Za-z0-9/+=]{40,})/gi },
+  { name: "github-token", regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { name: "npm-token", regex: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { name: "jwt", regex: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g },
+  { name: "password-assignment", regex: /\b[\w.-]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|ACCESS_?KEY|CREDENTIALS?)[\w.-]*[ \t]*[=:][ \t]*(?<secret>"[^"\n]*"|'[^'\n]*'|[^\s"']+)/gi },
+];
+
+// User-defined detectors are { name, pattern, flags } with pattern as a string
+function loadRedactions(redactionConfig = {}) {
+  if (redactionConfig.enabled === false) {
+    return [];
+  }
+  const custom = (redactionConfig.patterns || []).map(({ name, pattern, flags = "" }) => {
+    try {
+      return { name, regex: new RegExp(pattern, flags.replace("g", "") + "g") };
+    } catch (error) {
+      throw new Error(`Invalid redaction pattern ${name} /${pattern}/: ${error.message}`);
+    }
+  });
+  return [...builtinRedactions, ...custom];
+}
+
+const redactions = loadRedactions(config.redaction);
+
+// Replace secrets in text. Returns { text, counts } with the number of
+// redactions per detector name.
+function redactSecrets(text) {
+  const counts = {};
+  for (const { name, regex } of redactions) {
+    text = text.replace(regex, (match, ...args) => {
+      const groups = args[args.length - 1];
+      const placeholder = `[REDACTED:${name}]`;
+      // Leave placeholders from earlier detectors alone
+      if (match.includes("[REDACTED:") && !groups?.secret) {
+        return match;
+      }
+      if (groups?.secret?.includes("[REDACTED:")) {
+        return match;
+      }
+      counts[name] = (counts[name] || 0) + 1;
+      return groups?.secret ? match.slice(0, match.lastIndexOf(groups.secret)) + placeholder : placeholder;
+    });
+  }
+  return { text, counts };
+}
+
+// Redact every text item of a tool result and note what was removed
+function redactResult(result) {
+  const totals = {};
+  const content = result.content.map((item) => {
+    if (item.type !== "text") {
+      return item;
+    }
+    const { text, counts } = redactSecrets(item.text);
+    for (const [name, count] of Object.entries(counts)) {
+      totals[name] = (totals[name] || 0) + count;
+    }
+    return { ...item, text };
+  });
+
+  const total = Object.values(totals).reduce((sum, count) => sum + count, 0);
+  if (total > 0) {
+    const summary = Object.entries(totals).map(([name, count]) => `${count} ${name}`).join(", ");
+    content.push({
+      type: "text",
+      text: `(Redacted ${total} secret${total === 1 ? "" : "s"}: ${summary})`,
+    });
+  }
+  if (result.structuredContent) {
+    return { ...result, content, structuredContent: redactValue(result.structuredContent) };
+  }
+  return { ...result, content };
+}
+
+// Redact every string in a structured value
+function redactValue(value) {
+  if (typeof value === "string") {
+    return redactSecrets(value).text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+  }
+  return value;
+}
+
+// Audit log and transcripts
+//
+// Every tool call is appended to a JSONL audit log, one object per line:
+// { time, tool, terminalId, arguments, durationMs, result }. The log goes to
+// the auditLog path from the config file (or ITERM_MCP_AUDIT_LOG), by
+// default ~/.iterm-mcp-server/audit.jsonl; set auditLog to false to turn it
+// off. The same entries are kept in memory per terminal for export-transcript.
+
+function auditLogPath() {
+  const configured = process.env.ITERM_MCP_AUDIT_LOG ?? config.auditLog;
+  if (configured === false || configured === "" || configured === "false") {
+    return null;
+  }
+  return expandHome(configured || join(homedir(), ".iterm-mcp-server", "audit.jsonl"));
+}
+
+const auditLog = auditLogPath();
+
+// terminalId -> { entries, bytes }: audit entries for that terminal, oldest
+// first, and their size as JSON. Once a terminal's entries pass
+// transcriptMaxBytes the oldest are dropped, so a long session exports only
+// its most recent calls.
+const transcripts = new Map();
+const transcriptMaxBytes = 4 * 1024 * 1024;
+
+function writeAuditEntry(entry) {
+  const line = JSON.stringify(entry) + "\n";
+
+  if (entry.terminalId && entry.tool !== "export-transcript") {
+    if (!transcripts.has(entry.terminalId)) {
+      transcripts.set(entry.terminalId, { entries: [], bytes: 0 });
+    }
+    const transcript = transcripts.get(entry.terminalId);
+    transcript.entries.push({ entry, bytes: line.length });
+    transcript.bytes += line.length;
+    while (transcript.bytes > transcriptMaxBytes && transcript.entries.length > 1) {
+      transcript.bytes -= transcript.entries.shift().bytes;
+    }
+  }
+
+  if (!auditLog) {
+    return;
+  }
+  try {
+    mkdirSync(dirname(auditLog), { recursive: true });
+    // Synchronous so entries land in the order the calls finished
+    appendFileSync(auditLog, line);
+  } catch (error) {
+    console.error(`Could not write audit log ${auditLog}:`, error.message);
+  }
+}
+
+// Tools that type into a terminal. Calls to these for the same terminal run
+// one at a time so their keystrokes cannot interleave; reading tools are
+// never held up.
+const serializedTools = new Set(["execute-command", "run-script", "put-file", "get-file", "send-keys", "clear-terminal", "close-terminal"]);
+
+// Last operation queued on each terminal: terminalId -> promise that
+// settles when it has finished
+const terminalQueues = new Map();
+
+// Run an operation once every earlier one on the terminal has finished.
+// Returns { result, queuedMs }, with queuedMs undefined if nothing was
+// ahead of it. Rejects with a cancellation error if the tool call is
+// cancelled while waiting.
+async function runQueued(terminalId, operation) {
+  const previous = terminalQueues.get(terminalId);
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous ? previous.then(() => current) : current;
+  terminalQueues.set(terminalId, tail);
+
+  try {
+    const startTime = Date.now();
+    if (previous) {
+      await untilCancelled(previous);
+    }
+    return {
+      result: await operation(),
+      queuedMs: previous ? Date.now() - startTime : undefined,
+    };
+  } finally {
+    release();
+    if (terminalQueues.get(terminalId) === tail) {
+      terminalQueues.delete(terminalId);
+    }
+  }
+}
+
+// Run a tool call, one at a time per terminal for serializedTools, noting
+// in the result how long it was queued
+async function runSerialized(name, args, run) {
+  if (!serializedTools.has(name) || !args.terminalId) {
+    return run();
+  }
+
+  try {
+    const { result, queuedMs } = await runQueued(args.terminalId, run);
+    if (queuedMs === undefined) {
+      return result;
+    }
+    return {
+      ...result,
+      content: [
+        ...result.content,
+        {
+          type: "text",
+          text: `(Queued for ${queuedMs}ms behind earlier operations on ${args.terminalId})`,
+        },
+      ],
+    };
+  } catch (error) {
+    if (!error.cancelled) {
+      throw error;
+    }
+    return toolError("cancelled", `Cancelled while queued behind earlier operations on ${args.terminalId}`);
+  }
+}
+
+// With requireOwnership, tools only work on terminals this server opened or
+// that were adopted with adopt-terminal; others are refused as not-owned
+const requireOwnership = ["1", "true"].includes(process.env.ITERM_MCP_REQUIRE_OWNERSHIP) || config.requireOwnership === true;
+
+// Tools that may name a terminal the server does not own
+const ownershipExemptTools = new Set(["adopt-terminal", "export-transcript"]);
+
+// Refusal for a tool call that names a terminal the server does not own, or
+// null. Invalid and missing terminals are left for the tool to report.
+async function ownershipRefusal(name, args) {
+  if (!requireOwnership || ownershipExemptTools.has(name)) {
+    return null;
+  }
+
+  for (const terminalId of [args.terminalId, args.relativeTo, ...(args.terminalIds || [])].filter(Boolean)) {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      continue;
+    }
+    try {
+      if (await backend.isOwned(target) === false) {
+        return toolError("not-owned", `Terminal ${terminalId} was not opened by this server`);
+      }
+    } catch (error) {
+      return toolFailure("check terminal ownership", error);
+    }
+  }
+  return null;
+}
+
+// Register a tool whose results are redacted and whose calls are recorded
+// in the audit log. createServer adds it to every server.
+function registerTool(name, description, schema, handler) {
+  toolDefinitions.push({ name, description, schema, handler });
+}
+
+// Arguments as they go into the audit log and transcripts. Commands and
+// typed text can carry secrets as much as output can, and a file written
+// with put-file is logged by its size and checksum instead of its content.
+function auditArguments(name, args) {
+  if (name === "put-file" && typeof args.content === "string") {
+    const { content, ...rest } = args;
+    const data = Buffer.from(content, args.encoding || "utf8");
+    return redactValue({ ...rest, content: { bytes: data.length, sha256: createHash("sha256").update(data).digest("hex") } });
+  }
+  return redactValue(args);
+}
+
+// Run a tool call made through a server. The handler runs with the call's
+// cancellation signal and the server in operationContext.
+function callTool(server, { name, handler }, args, extra) {
+  const context = { signal: extra.signal, server, scripts: dryRun ? [] : undefined };
+  return operationContext.run(context, async () => {
+    const startTime = Date.now();
+    const result = redactResult(
+      (await ownershipRefusal(name, args)) || (await runSerialized(name, args, () => handler(args, extra)))
+    );
+    const text = result.content.map((item) => item.text).join("\n");
+
+    // open-terminal only learns its terminal ID from the result
+    const terminalId = args.terminalId || (name === "open-terminal" ? text.match(/^Terminal opened with ID: (\S+)/)?.[1] : undefined);
+
+    writeAuditEntry({
+      time: new Date(startTime).toISOString(),
+      tool: name,
+      terminalId,
+      arguments: auditArguments(name, args),
+      durationMs: Date.now() - startTime,
+      // A file read with get-file is logged by its header: size and checksum
+      result: name === "get-file" && !result.isError ? result.content[0].text : text,
+    });
+    return dryRun ? withRecordedScripts(result, context.scripts) : result;
+  });
+}
+
+function formatTranscriptMarkdown(terminalId, entries) {
+  const lines = [`# Transcript for ${terminalId}`, "", `Exported ${new Date().toISOString()}, ${entries.length} tool calls.`];
+  for (const entry of entries) {
+    const args = { ...entry.arguments };
+    delete args.terminalId;
+    lines.push("", `## ${entry.time} \`${entry.tool}\` (${entry.durationMs}ms)`);
+
+    if (entry.tool === "execute-command" || (entry.tool === "open-terminal" && args.command)) {
+      lines.push("", "```sh", `$ ${args.command}`, "```");
+      delete args.command;
+    }
+    if (Object.keys(args).length > 0) {
+      lines.push("", "Arguments:", "", "```json", JSON.stringify(args, null, 2), "```");
+    }
+    lines.push("", "Result:", "", "```", entry.result, "```");
+  }
+  return lines.join("\n") + "\n";
+}
+
+// asciicast v2: a header line, then [seconds, "i" | "o", data] events for
+// what was typed into the terminal and what was read back from it
+function formatTranscriptAsciicast(terminalId, entries) {
+  const startTime = entries.length > 0 ? Date.parse(entries[0].time) : Date.now();
+  const lines = [JSON.stringify({
+    version: 2,
+    width: 80,
+    height: 24,
+    timestamp: Math.floor(startTime / 1000),
+    title: `Transcript for ${terminalId}`,
+  })];
+
+  for (const entry of entries) {
+    const seconds = (Date.parse(entry.time) - startTime) / 1000;
+    const { command, keys, text } = entry.arguments;
+    if (command) {
+      lines.push(JSON.stringify([seconds, "i", command + "\r"]));
+    }
+    if (text) {
+      lines.push(JSON.stringify([seconds, "i", text]));
+    }
+    if (keys) {
+      lines.push(JSON.stringify([seconds, "i", `<${keys}>`]));
+    }
+    if (entry.tool === "read-output" || entry.tool === "wait-for-output" || (entry.tool === "execute-command" && entry.arguments.wait)) {
+      lines.push(JSON.stringify([seconds + entry.durationMs / 1000, "o", entry.result.replace(/\n/g, "\r\n") + "\r\n"]));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Register terminal tools
+registerTool(
+  "open-terminal",
+  "Opens a new iTerm2 window and creates a tracked terminal session. Returns a terminal ID that can be used with other commands. The terminal will be ready to receive commands immediately. Optional profile, cwd, env, title, size and an initial command are applied before the ID is returned, so no separate setup commands are needed. Use 'placement' with 'relativeTo' to open the terminal as a new tab in an existing terminal's window or as a split pane of an existing terminal instead.",
+  {
+    placement: z.enum(["window", "tab", "split-vertical", "split-horizontal"]).optional().describe("Where to create the terminal: 'window' (default) opens a new window, 'tab' a new tab in the window of 'relativeTo', 'split-vertical' a pane beside 'relativeTo' and 'split-horizontal' a pane below it"),
+    relativeTo: z.string().optional().describe("Terminal ID of an existing terminal. Required for 'tab' and split placements."),
+    profile: z.string().optional().describe("Name of the iTerm2 profile to use instead of the default profile (ignored by the tmux backend)"),
+    cwd: z.string().optional().describe("Directory to start the shell in"),
+    env: z.record(z.string()).optional().describe("Environment variables to set in the new shell, e.g. { \"NODE_ENV\": \"test\" }"),
+    title: z.string().optional().describe("Title for the new session, shown in the tab"),
+    columns: z.number().optional().describe("Terminal width in columns"),
+    rows: z.number().optional().describe("Terminal height in rows"),
+    command: z.string().optional().describe("Command to run once the shell has started, after changing directory and setting the environment"),
+  },
+  async ({ placement = "window", relativeTo, profile, cwd, env, title, columns, rows, command }) => {
+  const badName = invalidEnvName(env);
+  if (badName !== undefined) {
+    return toolError("invalid-argument", `Invalid environment variable name: ${badName}`);
+  }
+
+  let relativeTarget;
+  if (placement !== "window") {
+    relativeTarget = relativeTo && backend.parseTerminalId(relativeTo);
+    if (!relativeTarget) {
+      return relativeTo
+        ? invalidTerminalId(relativeTo)
+        : toolError("invalid-argument", `relativeTo is required for placement ${placement}`);
+    }
+  }
+
+  if (command) {
+    // The terminal does not exist yet; judge directories by where it will start
+    const refusal = await checkCommandPolicy(null, null, command, { cwd: cwd ? resolve(expandHome(cwd)) : "" });
+    if (refusal) {
+      return policyRefusal("the new terminal", command, refusal);
+    }
+  }
+
+  try {
+    const terminalId = await backend.openTerminal({
+      placement, relativeTo: relativeTarget, profile, cwd, env, title, columns, rows, command,
+    });
+
+    if (!terminalId) {
+      return terminalNotFound(relativeTo);
+    }
+    sendResourceListChanged();
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Terminal opened with ID: ${terminalId}`,
+        },
+      ],
+    };
+  } catch (error) {
+    return toolFailure("open terminal", error);
+  }
+});
+
+registerTool(
+  "execute-command",
+  "Executes a shell command in the specified terminal as if typed by the user. The command is sent with a newline, so it will be executed immediately. Use this for running programs, changing directories, or any shell command. Set 'wait' to block until the command finishes and get its output and exit code back directly.",
+  {
+    terminalId: z.string().describe("The terminal ID returned from open-terminal or list-terminals"),
+    command: z.string().describe("Shell command to execute (e.g., 'ls -la', 'cd /path', 'npm start'). Will be executed with Enter key automatically."),
+    wait: z.boolean().optional().describe("Wait for the command to finish and return only its output, exit code and duration. Requires a POSIX-style shell (bash, zsh). Do not use for commands that never exit, such as servers or TUI apps."),
+    timeout: z.number().optional().describe("With 'wait', how long to wait for the command to finish in milliseconds (default 30000). On timeout the command keeps running and the output so far is returned."),
+  },
+  async ({ terminalId, command, wait, timeout }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    try {
+      const refusal = await checkCommandPolicy(terminalId, target, command);
+      if (refusal) {
+        return policyRefusal(terminalId, command, refusal);
+      }
+    } catch (error) {
+      return toolFailure("check command policy", error);
+    }
+
+    if (wait) {
+      try {
+        const result = await runCommandAndWait(target, command, { timeout });
+
+        if (!result.found) {
+          return terminalNotFound(terminalId);
+        }
+
+        let header = `Command still running in ${terminalId} after ${result.duration}ms timeout: ${command}`;
+        if (result.completed) {
+          header = `Command finished in ${terminalId} with exit code ${result.exitCode} (${result.duration}ms): ${command}`;
+        } else if (!result.started) {
+          header = `Command did not start in ${terminalId} within ${result.duration}ms (the terminal is busy, or the shell rejected the command line): ${command}`;
+        }
+        const note = result.truncated ? "\n(start of output scrolled out of the terminal buffer)" : "";
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${header}${note}\n${result.output || "No output"}`,
+            },
+          ],
+          structuredContent: { started: result.started, completed: result.completed, exitCode: result.completed ? result.exitCode : null, durationMs: result.duration },
+        };
+      } catch (error) {
+        return toolFailure("execute command", error);
+      }
+    }
+
+    try {
+      const found = await backend.executeCommand(target, command);
+
+      if (!found) {
+        return terminalNotFound(terminalId);
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Command executed in ${terminalId}: ${command}`,
+          },
+        ],
+      };
+    } catch (error) {
+      return toolFailure("execute command", error);
+    }
+  }
+);
+
+// Commands that run a script file, and that read a script from stdin
+const scriptInterpreters = {
+  bash: { file: "bash", stdin: "bash -s", shell: true },
+  zsh: { file: "zsh", stdin: "zsh -s", shell: true },
+  sh: { file: "sh", stdin: "sh -s", shell: true },
+  python: { file: "python3", stdin: "python3 -", extension: ".py" },
+  node: { file: "node", stdin: "node -", extension: ".js" },
+};
+
+registerTool(
+  "run-script",
+  "Runs a multi-line script in a terminal as a whole and waits for it to finish, returning its output and exit code. Unlike execute-command, heredocs, if blocks and functions work, and the script's own exit status is reported. Use 'file' delivery for terminals on this machine and 'paste' for terminals logged in to another host (e.g. over SSH).",
+  {
+    terminalId: z.string().describe("The terminal ID to run the script in"),
+    script: z.string().describe("The script body"),
+    interpreter: z.enum(["bash", "zsh", "sh", "python", "node"]).optional().describe("Interpreter for the script (default bash)"),
+    method: z.enum(["file", "paste"]).optional().describe("'file' (default) writes the script to a temp file on this machine and runs it; 'paste' sends it to the interpreter's stdin as a here-document in one bracketed paste, which works on any host but needs a shell with bracketed paste (bash 5.1+, zsh)"),
+    timeout: z.number().optional().describe("How long to wait for the script to finish in milliseconds (default 30000). On timeout the script keeps running and the output so far is returned."),
+  },
+  async ({ terminalId, script, interpreter = "bash", method = "file", timeout }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    const { file, stdin, shell, extension = ".sh" } = scriptInterpreters[interpreter];
+    let scriptPath;
+    let stillRunning = false;
+    let command;
+    let input;
+    if (method === "file") {
+      scriptPath = join(mkdtempSync(join(tmpdir(), "iterm-mcp-")), `script${extension}`);
+      writeFileSync(scriptPath, script, { mode: 0o700 });
+      command = `${file} ${shellQuote(scriptPath)}`;
+    } else {
+      // A delimiter the script cannot contain ends the here-document
+      const delimiter = `MCP_SCRIPT_${randomBytes(6).toString("hex")}`;
+      command = `${stdin} <<'${delimiter}'`;
+      input = `${script.replace(/\n$/, "")}\n${delimiter}`;
+    }
+
+    try {
+      // The policy can only read shell scripts; other interpreters are
+      // judged by the command that starts them
+      const refusal = await checkCommandPolicy(terminalId, target, shell ? script : command);
+      if (refusal) {
+        return policyRefusal(terminalId, shell ? script : command, refusal);
+      }
+
+      const result = await runCommandAndWait(target, command, { timeout, input, paste: method === "paste" });
+      stillRunning = result.found && !result.completed;
+
+      if (!result.found) {
+        return terminalNotFound(terminalId);
+      }
+
+      let header = `Script still running in ${terminalId} after ${result.duration}ms timeout`;
+      if (result.completed) {
+        header = `Script finished in ${terminalId} with exit code ${result.exitCode} (${result.duration}ms)`;
+      } else if (!result.started) {
+        header = `Script did not start in ${terminalId} within ${result.duration}ms (the terminal is busy, or the shell rejected the command line)`;
+      }
+      const note = result.truncated ? "\n(start of output scrolled out of the terminal buffer)" : "";
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${header}${note}\n${result.output || "No output"}`,
+          },
+        ],
+      };
+    } catch (error) {
+      return toolFailure("run script", error);
+    } finally {
+      // A script that is still running keeps its file
+      if (scriptPath && !stillRunning) {
+        unlinkSync(scriptPath);
+        rmdirSync(dirname(scriptPath));
+      }
+    }
+  }
+);
+
+// File transfer
+//
+// put-file and get-file move files through the terminal itself, so they
+// work on whichever host the shell runs on, including over SSH. Content
+// travels as base64 in chunks: typed into here-documents on the way in and
+// printed and read back from the screen on the way out. Both ends compute
+// a SHA-256 checksum to verify the result. The host only needs base64 or
+// openssl, and sha256sum, shasum or openssl, plus a POSIX-style shell.
+
+const fileTransferMaxBytes = config.fileTransfer?.maxBytes || 1024 * 1024;
+// Bytes of the file per chunk; its base64 takes a third more
+const fileTransferChunkBytes = config.fileTransfer?.chunkBytes || 12 * 1024;
+// base64 line length, short enough for openssl and narrow terminals
+const base64LineLength = 64;
+
+// Error that ends a transfer with a prepared tool result
+function transferError(toolResult) {
+  return Object.assign(new Error(toolResult.structuredContent.error.message), { toolResult });
+}
+
+// Host commands print the SHA-256 of a file as the first 64 hex digits.
+// Each tries the common tools in turn; one that is missing or rejects its
+// options has not read any input yet.
+function hostSha256Command(file) {
+  return `{ sha256sum ${file} || shasum -a 256 ${file} || openssl dgst -sha256 -r ${file}; } 2>/dev/null`;
+}
+
+function hostBase64DecodeCommand(from, to) {
+  return `{ base64 -d < ${from} > ${to} || base64 -D < ${from} > ${to} || openssl base64 -d < ${from} > ${to}; } 2>/dev/null`;
+}
+
+// Quote a path for the host's shell, keeping a leading ~/ pointing at the
+// home directory there
+function hostPath(path) {
+  return path.startsWith("~/") ? `"$HOME"/${shellQuote(path.slice(2))}` : shellQuote(path);
+}
+
+function parseSha256(output) {
+  return output.match(/\b[0-9a-f]{64}\b/)?.[0] ?? null;
+}
+
+// Run a command generated for a transfer, checked against the command
+// policy like any other, and return its output. Throws a transferError
+// unless it exits with 0, or with one of okExitCodes.
+async function runTransferCommand(terminalId, target, command, { input, okExitCodes = [0] } = {}) {
+  const refusal = await checkCommandPolicy(terminalId, target, command);
+  if (refusal) {
+    throw transferError(policyRefusal(terminalId, command, refusal));
+  }
+
+  const result = await runCommandAndWait(target, command, { input });
+  if (!result.found) {
+    throw transferError(terminalNotFound(terminalId));
+  }
+  if (!result.completed) {
+    throw transferError(toolError("timeout", `Transfer command ${result.started ? "still running" : "did not start"} in ${terminalId} after ${result.duration}ms: ${command}`, {
+      hint: "The terminal may be busy. Check it with read-output and try again.",
+    }));
+  }
+  if (result.truncated) {
+    throw transferError(toolError("file-error", `Output of a transfer command scrolled out of the terminal buffer in ${terminalId}`, {
+      hint: "Raise the terminal's scrollback or lower fileTransfer.chunkBytes in the config file.",
+    }));
+  }
+  if (!okExitCodes.includes(result.exitCode)) {
+    throw transferError(toolError("file-error", `Transfer command failed in ${terminalId} with exit code ${result.exitCode}: ${command}\n${result.output || "No output"}`));
+  }
+  return result;
+}
+
+function fileTooLarge(bytes) {
+  return toolError("invalid-argument", `File is ${bytes} bytes, more than the ${fileTransferMaxBytes} byte limit`, {
+    hint: "Transfer a smaller file, or raise fileTransfer.maxBytes in the config file.",
+  });
+}
+
+registerTool(
+  "put-file",
+  "Writes a file on the host a terminal's shell runs on, which may be another machine the terminal is SSH'd into. The content is typed through the terminal as base64 in chunks and verified with a SHA-256 checksum, so no echo or heredoc quoting is needed. The file is only replaced once the whole content has arrived intact.",
+  {
+    terminalId: z.string().describe("The terminal whose shell should receive the file"),
+    path: z.string().describe("Path of the file on the terminal's host. Relative paths are relative to the shell's current directory; ~/ is the home directory there."),
+    content: z.string().describe("The file content"),
+    encoding: z.enum(["utf8", "base64"]).optional().describe("How 'content' is encoded: 'utf8' text (default) or 'base64' for binary files"),
+    mode: z.string().regex(/^[0-7]{3,4}$/).optional().describe("Octal permissions to set on the file, e.g. '600' or '755'"),
+    overwrite: z.boolean().optional().describe("Replace the file if it already exists (default false)"),
+  },
+  async ({ terminalId, path, content, encoding = "utf8", mode, overwrite = false }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    const data = Buffer.from(content, encoding);
+    if (data.length > fileTransferMaxBytes) {
+      return fileTooLarge(data.length);
+    }
+
+    const marker = randomBytes(6).toString("hex");
+    const file = hostPath(path);
+    const partFile = hostPath(`${path}.mcp-${marker}.part`);
+    const base64File = hostPath(`${path}.mcp-${marker}.b64`);
+    const delimiter = `MCP_FILE_${marker}`;
+    const startTime = Date.now();
+    let started = false;
+
+    try {
+      if (!overwrite) {
+        const exists = await runTransferCommand(terminalId, target, `test -e ${file}`, { okExitCodes: [0, 1] });
+        if (exists.exitCode === 0) {
+          return toolError("file-error", `${path} already exists in ${terminalId}`, {
+            hint: "Set overwrite to replace it, or choose another path.",
+          });
+        }
+      }
+
+      started = true;
+      const chunkCount = Math.max(1, Math.ceil(data.length / fileTransferChunkBytes));
+      for (let chunk = 0; chunk < chunkCount; chunk++) {
+        const encoded = data.subarray(chunk * fileTransferChunkBytes, (chunk + 1) * fileTransferChunkBytes).toString("base64");
+        const lines = encoded.match(new RegExp(`.{1,${base64LineLength}}`, "g")) || [];
+        await runTransferCommand(terminalId, target, `cat ${chunk === 0 ? ">" : ">>"} ${base64File} <<'${delimiter}'`, {
+          input: [...lines, delimiter].join("\n"),
+        });
+      }
+
+      const decoded = await runTransferCommand(terminalId, target,
+        `${hostBase64DecodeCommand(base64File, partFile)} && rm -f ${base64File} && ${hostSha256Command(partFile)}`);
+      const expected = createHash("sha256").update(data).digest("hex");
+      const actual = parseSha256(decoded.output);
+      if (actual !== expected) {
+        return toolError("file-error", `Checksum mismatch writing ${path} in ${terminalId}: expected ${expected}, got ${actual || "no checksum"}`, {
+          hint: "The file was left unchanged. Try again; if it keeps failing, check that base64 and sha256sum, shasum or openssl work on the host.",
+        });
+      }
+
+      await runTransferCommand(terminalId, target, `mv -f ${partFile} ${file}${mode ? ` && chmod ${mode} ${file}` : ""}`);
+      started = false;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Wrote ${data.length} bytes to ${path} in ${terminalId} in ${chunkCount} chunk${chunkCount === 1 ? "" : "s"} (${Date.now() - startTime}ms, sha256 ${expected})`,
+          },
+        ],
+        structuredContent: { path, bytes: data.length, sha256: expected, chunks: chunkCount },
+      };
+    } catch (error) {
+      return error.toolResult || toolFailure("put file", error);
+    } finally {
+      // Leave no partial files behind, unless the terminal is gone or busy
+      if (started) {
+        try {
+          await runCommandAndWait(target, `rm -f ${partFile} ${base64File}`, { timeout: 5000 });
+        } catch (error) {
+          // Nothing more we can do
+        }
+      }
+    }
+  }
+);
+
+registerTool(
+  "get-file",
+  "Reads a file from the host a terminal's shell runs on, which may be another machine the terminal is SSH'd into. The file is printed through the terminal as base64 in chunks and verified with a SHA-256 checksum. Use it to fetch logs or configs without reading them off the screen.",
+  {
+    terminalId: z.string().describe("The terminal whose shell can read the file"),
+    path: z.string().describe("Path of the file on the terminal's host. Relative paths are relative to the shell's current directory; ~/ is the home directory there."),
+    encoding: z.enum(["utf8", "base64"]).optional().describe("How to return the content: 'utf8' text (default) or 'base64' for binary files"),
+  },
+  async ({ terminalId, path, encoding = "utf8" }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    const file = hostPath(path);
+    const startTime = Date.now();
+    try {
+      const stat = await runTransferCommand(terminalId, target, `wc -c < ${file} && ${hostSha256Command(file)}`);
+      const size = parseInt(stat.output);
+      const expected = parseSha256(stat.output);
+      if (Number.isNaN(size) || !expected) {
+        return toolError("file-error", `Could not read the size and checksum of ${path} in ${terminalId}:\n${stat.output}`);
+      }
+      if (size > fileTransferMaxBytes) {
+        return fileTooLarge(size);
+      }
+
+      const chunks = [];
+      const chunkCount = Math.ceil(size / fileTransferChunkBytes);
+      for (let chunk = 0; chunk < chunkCount; chunk++) {
+        // fold keeps lines short, since macOS base64 prints one long line
+        const result = await runTransferCommand(terminalId, target,
+          `dd if=${file} bs=${fileTransferChunkBytes} skip=${chunk} count=1 2>/dev/null | { base64 || openssl base64; } 2>/dev/null | fold -w ${base64LineLength}`);
+        const data = Buffer.from(result.output.replace(/\s/g, ""), "base64");
+        const expectedBytes = Math.min(fileTransferChunkBytes, size - chunk * fileTransferChunkBytes);
+        if (data.length !== expectedBytes) {
+          return toolError("file-error", `Chunk ${chunk + 1} of ${path} in ${terminalId} has ${data.length} bytes instead of ${expectedBytes}`, {
+            hint: "The file may be changing while it is read. Try again.",
+          });
+        }
+        chunks.push(data);
+      }
+
+      const data = Buffer.concat(chunks);
+      const actual = createHash("sha256").update(data).digest("hex");
+      if (actual !== expected) {
+        return toolError("file-error", `Checksum mismatch reading ${path} in ${terminalId}: expected ${expected}, got ${actual}`, {
+          hint: "The file may be changing while it is read. Try again.",
+        });
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Read ${size} bytes from ${path} in ${terminalId} (${Date.now() - startTime}ms, sha256 ${actual})${encoding === "base64" ? ", base64 encoded" : ""}:`,
+          },
+          {
+            type: "text",
+            text: data.toString(encoding),
+          },
+        ],
+        structuredContent: { path, bytes: size, sha256: actual, encoding },
+      };
+    } catch (error) {
+      return error.toolResult || toolFailure("get file", error);
+    }
+  }
+);
+
+registerTool(
+  "read-output",
+  "Reads the current visible output from a terminal session. This captures what's currently displayed in the terminal window, including command output, prompts, and any TUI interfaces. Useful for checking command results or TUI state. For long output, page through the scrollback with offset/limit/maxBytes and the returned cursor, or use 'sinceLastRead' to tail a running process and get only new lines.",
+  {
+    terminalId: z.string().describe("The terminal ID to read from"),
+    lines: z.number().optional().describe("Number of lines to read from the bottom of the output. If omitted, returns all visible content. Useful for getting just recent output."),
+    scrollback: z.boolean().optional().describe("Read the full scrollback history instead of just the visible screen. Implied by offset, limit, maxBytes, cursor and sinceLastRead."),
+    from: z.enum(["top", "bottom"]).optional().describe("Whether offset counts from the top (oldest line) or the bottom (newest line) of the scrollback. Default: bottom."),
+    offset: z.number().optional().describe("Number of lines to skip, counted from the end chosen by 'from'"),
+    limit: z.number().optional().describe("Maximum number of lines to return"),
+    maxBytes: z.number().optional().describe("Maximum size of the returned text in bytes. If the output is cut short, a cursor is returned to continue reading."),
+    cursor: z.string().optional().describe("Cursor returned by a previous read-output call to continue reading where it stopped"),
+    sinceLastRead: z.boolean().optional().describe("Return only the lines added since the previous sinceLastRead call for this terminal. The first call returns the whole scrollback."),
+  },
+  async ({ terminalId, lines, scrollback, from = "bottom", offset = 0, limit, maxBytes, cursor, sinceLastRead }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    const paging = offset || limit || maxBytes || cursor !== undefined;
+
+    try {
+      const output = await backend.readOutput(target, paging || sinceLastRead ? { scrollback: true } : { lines, scrollback });
+
+      if (output === null) {
+        return terminalNotFound(terminalId);
+      }
+
+      if (sinceLastRead) {
+        return readSinceLastRead(terminalId, output.split("\n"), { limit, maxBytes });
+      }
+
+      if (paging) {
+        return readPage(output.split("\n"), { from, offset, limit, maxBytes, cursor });
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: output || "No output available",
+          },
+        ],
+      };
+    } catch (error) {
+      return toolFailure("read output", error);
+    }
+  }
+);
+
+registerTool(
+  "wait-for-output",
+  "Waits until text matching a pattern appears in a terminal, polling its output. Use this after starting a dev server, build or other long-running command to wait for a ready message (e.g. 'Listening on port') or a failure message instead of calling read-output in a loop. Only output that appears after the call starts is matched. Returns the pattern that matched with the surrounding lines, or the last screen on timeout.",
+  {
+    terminalId: z.string().describe("The terminal ID to watch"),
+    pattern: z.string().optional().describe("Regular expression that signals success (e.g. 'Listening on port \\d+'). Matched against each line of output."),
+    successPatterns: z.array(z.string()).optional().describe("Additional regular expressions that signal success"),
+    failurePatterns: z.array(z.string()).optional().describe("Regular expressions that signal failure (e.g. 'EADDRINUSE', 'Error:'). Failure patterns are checked before success patterns."),
+    timeout: z.number().optional().describe("How long to wait in milliseconds (default 30000)"),
+    pollInterval: z.number().optional().describe("How often to read the terminal in milliseconds (default 500)"),
+    contextLines: z.number().optional().describe("Number of lines to include before and after the matching line (default 2)"),
+  },
+  async ({ terminalId, pattern, successPatterns = [], failurePatterns = [], timeout = 30000, pollInterval = 500, contextLines = 2 }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    const patterns = [];
+    try {
+      for (const source of failurePatterns) {
+        patterns.push({ kind: "failure", source, regex: new RegExp(source) });
+      }
+      for (const source of pattern ? [pattern, ...successPatterns] : successPatterns) {
+        patterns.push({ kind: "success", source, regex: new RegExp(source) });
+      }
+    } catch (error) {
+      return toolError("invalid-argument", `Invalid pattern: ${error.message}`);
+    }
+
+    if (patterns.length === 0) {
+      return toolError("invalid-argument", "No pattern specified");
+    }
+
+    const startTime = Date.now();
+    let output = "";
+    try {
+      // Only output that appears after the call starts counts, so a message
+      // left over from an earlier run does not match
+      let mark = null;
+      while (true) {
+        output = await backend.readOutput(target, { scrollback: true, lines: pollLines });
+
+        if (output === null) {
+          return terminalNotFound(terminalId);
+        }
+
+        const lines = output.split("\n");
+        if (!mark) {
+          mark = endMark(lines);
+        }
+        const start = newLinesStart(lines, mark);
+        for (const { kind, source, regex } of patterns) {
+          // Report the most recent match, nearest the bottom of the screen
+          let lineIndex = lines.length - 1;
+          while (lineIndex >= start && !regex.test(lines[lineIndex])) {
+            lineIndex--;
+          }
+          if (lineIndex < start) {
+            continue;
+          }
+
+          const context = lines.slice(Math.max(0, lineIndex - contextLines), lineIndex + contextLines + 1);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Matched ${kind} pattern /${source}/ in ${terminalId} after ${Date.now() - startTime}ms:\n${context.join("\n")}`,
+              },
+            ],
+          };
+        }
+
+        if (Date.now() - startTime >= timeout) {
+          // Show what is on screen rather than the whole scrollback
+          output = await backend.readOutput(target);
+          break;
+        }
+        await sleep(pollInterval);
+      }
+    } catch (error) {
+      return toolFailure("read output", error);
+    }
+
+    return toolError("timeout", `Timed out after ${Date.now() - startTime}ms waiting for ${patterns.map(({ source }) => `/${source}/`).join(", ")} in ${terminalId}. Last screen:\n${output || "No output available"}`, {
+      hint: "Check the last screen for what happened instead, or wait again with a longer timeout.",
+    });
+  }
+);
+
+registerTool(
+  "search-output",
+  "Searches the scrollback of one, several or all terminals for a regular expression and returns the matching lines grouped by terminal ID, with line numbers and the surrounding lines. Use this to find where an error or stack trace came from when several terminals are open, instead of reading each of them with read-output.",
+  {
+    pattern: z.string().describe("Regular expression matched against each line of scrollback (e.g. 'TypeError|ECONNREFUSED')"),
+    terminalIds: z.array(z.string()).optional().describe("Terminals to search. Default: every terminal listed by list-terminals"),
+    ignoreCase: z.boolean().optional().describe("Match regardless of case"),
+    contextLines: z.number().optional().describe("Number of lines to include before and after each match (default 2)"),
+    maxMatches: z.number().optional().describe("Maximum number of matches to return across all terminals (default 100)"),
+    maxBytes: z.number().optional().describe("Maximum size of the returned text in bytes (default 20000)"),
+  },
+  async ({ pattern, terminalIds, ignoreCase, contextLines = 2, maxMatches = 100, maxBytes = 20000 }) => {
+    let regex;
+    try {
+      regex = new RegExp(pattern, ignoreCase ? "i" : "");
+    } catch (error) {
+      return toolError("invalid-argument", `Invalid pattern: ${error.message}`);
+    }
+
+    const invalidId = (terminalIds || []).find((terminalId) => !backend.parseTerminalId(terminalId));
+    if (invalidId !== undefined) {
+      return invalidTerminalId(invalidId);
+    }
+
+    try {
+      if (!terminalIds) {
+        const listed = await backend.listTerminals();
+        terminalIds = requireOwnership ? listed.ownedTerminalIds : listed.terminalIds;
+      }
+
+      // Matches are { terminalId, line, text }; groups holds the grep-style
+      // text for each terminal with matches: "12:match", "11-context", "--"
+      const matches = [];
+      const groups = [];
+      const notFound = [];
+      let searched = 0;
+      let bytes = 0;
+      let truncated = false;
+
+      for (const terminalId of terminalIds) {
+        if (truncated) {
+          break;
+        }
+        const output = await backend.readOutput(backend.parseTerminalId(terminalId), { scrollback: true });
+        if (output === null) {
+          notFound.push(terminalId);
+          continue;
+        }
+        searched++;
+
+        const lines = output.split("\n");
+        const group = { terminalId, matches: 0, lines: [] };
+        let lastShown = -1;
+        for (let index = 0; index < lines.length && !truncated; index++) {
+          if (!regex.test(lines[index])) {
+            continue;
+          }
+          if (matches.length >= maxMatches) {
+            truncated = true;
+            break;
+          }
+
+          const start = Math.max(lastShown + 1, index - contextLines);
+          const end = Math.min(lines.length - 1, index + contextLines);
+          const block = [];
+          if (group.lines.length > 0 && start > lastShown + 1) {
+            block.push("--");
+          }
+          for (let lineIndex = start; lineIndex <= end; lineIndex++) {
+            // Later matches inside this block are marked when their turn comes
+            const marker = lineIndex === index ? ":" : "-";
+            block.push(`${lineIndex + 1}${marker}${lines[lineIndex]}`);
+          }
+
+          const blockBytes = block.reduce((total, line) => total + Buffer.byteLength(line) + 1, 0);
+          if (bytes + blockBytes > maxBytes) {
+            truncated = true;
+            break;
+          }
+          bytes += blockBytes;
+
+          // A match already shown as context of the previous one is re-marked
+          if (index <= lastShown) {
+            const shownIndex = group.lines.length - (lastShown - index) - 1;
+            group.lines[shownIndex] = `${index + 1}:${lines[index]}`;
+          }
+          group.lines.push(...block);
+          group.matches++;
+          matches.push({ terminalId, line: index + 1, text: lines[index] });
+          lastShown = Math.max(lastShown, end);
+        }
+
+        if (group.matches > 0) {
+          groups.push(group);
+        }
+      }
+
+      const summary = matches.length === 0
+        ? `No matches for /${pattern}/ in ${searched} terminal${searched === 1 ? "" : "s"}`
+        : `Found ${matches.length} match${matches.length === 1 ? "" : "es"} for /${pattern}/ in ${groups.length} of ${searched} terminal${searched === 1 ? "" : "s"}:`;
+      const sections = groups.map(({ terminalId, matches: count, lines }) => (
+        `== ${terminalId} (${count} match${count === 1 ? "" : "es"})\n${lines.join("\n")}`
+      ));
+      const notes = [];
+      if (truncated) {
+        notes.push(`(Stopped at ${matches.length} matches or ${maxBytes} bytes; narrow the pattern or raise maxMatches/maxBytes)`);
+      }
+      if (notFound.length > 0) {
+        notes.push(`Not found: ${notFound.join(", ")}`);
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: [summary, ...sections, ...notes].join("\n\n"),
+          },
+        ],
+        structuredContent: { pattern, matches, truncated, terminalsSearched: searched, notFound },
+      };
+    } catch (error) {
+      return toolFailure("search output", error);
+    }
+  }
+);
+
+registerTool(
+  "close-terminal",
+  "Closes the terminal session with the specified terminal ID. Only that tab or split pane is closed; its window closes along with its last session. This will terminate any running processes in that terminal. The terminal ID will be removed from tracking after closing.",
+  {
+    terminalId: z.string().describe("The terminal ID to close. Other tabs and panes in the same window stay open."),
+  },
+  async ({ terminalId }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    readPositions.delete(terminalId);
+    typedLines.delete(terminalId);
+
+    try {
+      const found = await backend.closeTerminal(target);
+      sendResourceListChanged();
+
+      if (!found) {
+        return terminalNotFound(terminalId);
+      }
+    } catch (error) {
+      return toolFailure("close terminal", error);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Terminal ${terminalId} closed`,
+        },
+      ],
+    };
+  }
+);
+
+registerTool(
+  "list-terminals",
+  "Lists all currently tracked terminal sessions with their IDs, grouped by iTerm2 window and tab, with split panes listed under their tab. Each terminal shows its foreground process, whether it is busy and its working directory; structuredContent has the full details of every terminal as returned by get-terminal-info. Terminals opened by this server or adopted with adopt-terminal are marked (owned); the others belong to the user. Also shows the actual number of iTerm2 windows, tabs and sessions open. Useful for finding available terminals or debugging connection issues.",
+  {},
+  async () => {
+    let result;
+    let terminals;
+    try {
+      const listing = await backend.listTerminals();
+      const { summary, ownedTerminalIds, windows } = listing;
+      terminals = listing.terminals;
+      const [windowLevel, tabLevel] = backend.levels;
+      const lines = [`${summary}, Owned by this server: ${ownedTerminalIds.length}`];
+      for (const window of windows) {
+        lines.push(`${windowLevel} ${window.id}`);
+        for (const tab of window.tabs) {
+          lines.push(`  ${tabLevel} ${tab.id}${tab.terminalIds.length > 1 ? ` (${tab.terminalIds.length} panes)` : ""}`);
+          lines.push(...tab.terminalIds.map((terminalId) => (
+            `    ${terminalId}${ownedTerminalIds.includes(terminalId) ? " (owned)" : ""}: ${describeTerminal(terminals.find((info) => info.terminalId === terminalId))}`
+          )));
+        }
+      }
+      result = lines.join("\n");
+    } catch (error) {
+      return toolFailure(`get ${backend.label} status`, error);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${backend.label} status and terminal IDs:
+${result}`,
+        },
+      ],
+      structuredContent: { backend: backend.name, terminals },
+    };
+  }
+);
+
+registerTool(
+  "get-terminal-info",
+  "Reports the details of one terminal: its name, tty, foreground process, whether it is busy, working directory, size in columns and rows, profile and whether this server owns it. Check this before typing into a terminal, so you do not send commands to one that is running an editor or another program.",
+  {
+    terminalId: z.string().describe("The terminal ID to describe"),
+  },
+  async ({ terminalId }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    let info;
+    try {
+      info = await backend.getTerminalInfo(target);
+    } catch (error) {
+      return toolFailure("get terminal info", error);
+    }
+    if (!info) {
+      return terminalNotFound(terminalId);
+    }
+
+    // Legacy iTerm IDs describe whichever session is current in the tab
+    info = { ...info, terminalId };
+    const [windowLevel, tabLevel] = backend.levels;
+    const lines = [
+      `Terminal ${terminalId}${info.owned ? " (owned)" : ""}`,
+      `${windowLevel}: ${info.window}, ${tabLevel}: ${info.tab}`,
+      `Name: ${info.name || "(none)"}`,
+      `TTY: ${info.tty}`,
+      `Process: ${info.process || "unknown"}${info.busy ? " (busy)" : " (idle)"}`,
+      `Working directory: ${info.cwd || "unknown"}`,
+      `Size: ${info.columns}x${info.rows}`,
+    ];
+    if (info.profile) {
+      lines.push(`Profile: ${info.profile}`);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: lines.join("\n"),
+        },
+      ],
+      structuredContent: info,
+    };
+  }
+);
+
+registerTool(
+  "adopt-terminal",
+  "Marks an existing terminal that this server did not open as owned, so the other tools may use it when only owned terminals are allowed. The user is asked to confirm first in that mode. Only adopt a terminal the user asked you to work in.",
+  {
+    terminalId: z.string().describe("The terminal ID to adopt, from list-terminals"),
+  },
+  async ({ terminalId }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    try {
+      const owned = await backend.isOwned(target);
+      if (owned === null) {
+        return terminalNotFound(terminalId);
+      }
+      if (owned) {
         return {
           content: [
             {
               type: "text",
-              text: `Terminal ${terminalId} session not found in iTerm`,
+              text: `Terminal ${terminalId} is already owned by this server`,
             },
           ],
         };
       }
-      
+
+      if (requireOwnership && !(await confirmWithUser(`Allow the assistant to use terminal ${terminalId}? It was not opened by the assistant, so it may be one of your own sessions.`, "Let the assistant use this terminal"))) {
+        return toolError("not-owned", `The user did not confirm adopting ${terminalId}`, {
+          hint: "Ask the user to confirm adopting the terminal, or to open a new one for you with open-terminal.",
+        });
+      }
+
+      if (!(await backend.setOwned(target))) {
+        return terminalNotFound(terminalId);
+      }
+      sendResourceListChanged();
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Terminal ${terminalId} adopted`,
+          },
+        ],
+      };
+    } catch (error) {
+      return toolFailure("adopt terminal", error);
+    }
+  }
+);
+
+registerTool(
+  "diagnose",
+  "Checks whether the terminal backend can work on this machine. For iTerm2: whether osascript works, iTerm2 is running, Automation permission has been granted and the iTerm2 version is supported. For tmux: whether tmux is installed and its server is running. Use this when other tools fail with errors such as iterm-not-running or automation-permission-denied.",
+  {},
+  async () => {
+    try {
+      const checks = (await backend.diagnose()).map((check) => (
+        check.ok ? check : { ...check, hint: errorHints[check.code] }
+      ));
+      const runner = backend === itermBackend
+        ? `${scriptRunnerMode}${scriptRunnerFailed ? " (worker stopped, using one osascript per call)" : ""}`
+        : undefined;
+
+      const lines = [`Backend: ${backend.name}`];
+      if (runner) {
+        lines.push(`AppleScript runner: ${runner}`);
+      }
+      lines.push(`Script timeout: ${scriptTimeout}ms`);
+      for (const { check, ok, detail, hint } of checks) {
+        lines.push(`${ok ? "OK  " : "FAIL"} ${check}: ${detail}`);
+        if (hint) {
+          lines.push(`     ${hint}`);
+        }
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: `Command executed in ${terminalId}: ${command}`,
+            text: lines.join("\n"),
           },
         ],
+        structuredContent: { backend: backend.name, scriptRunner: runner, scriptTimeout, checks },
       };
     } catch (error) {
+      return toolFailure("run diagnostics", error);
+    }
+  }
+);
+
+registerTool(
+  "clear-terminal",
+  "Clears the terminal screen by sending the 'clear' command. This removes all visible output and moves the cursor to the top. The command history and scroll buffer are preserved.",
+  {
+    terminalId: z.string().describe("The terminal ID to clear. Executes the 'clear' command in that terminal."),
+  },
+  async ({ terminalId }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    try {
+      const found = await backend.clearTerminal(target);
+
+      if (!found) {
+        return terminalNotFound(terminalId);
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: `Failed to execute command: ${error.message}`,
+            text: `Terminal ${terminalId} cleared`,
           },
         ],
       };
+    } catch (error) {
+      return toolFailure("clear terminal", error);
     }
   }
 );
 
-server.tool(
-  "read-output",
-  "Reads the current visible output from a terminal session. This captures what's currently displayed in the terminal window, including command output, prompts, and any TUI interfaces. Useful for checking command results or TUI state.",
+registerTool(
+  "send-keys",
+  "Send keystrokes or text to a terminal for TUI interaction. Use 'keys' for a special key (tab, enter, arrows, ctrl-c, alt-f, ctrl-left, etc.), 'text' for regular typing, or 'sequence' for a list of keys and text sent in one go, such as navigating a menu in vim, htop or an installer.",
   {
-    terminalId: z.string().describe("The terminal ID to read from"),
-    lines: z.number().optional().describe("Number of lines to read from the bottom of the output. If omitted, returns all visible content. Useful for getting just recent output."),
+    terminalId: z.string().describe("ID of the terminal to send keys to"),
+    keys: z.string().optional().describe("Special key to send, optionally with modifiers and a repeat count. Keys: tab, enter, escape, space, backspace, delete, forward-delete, insert, up, down, left, right, home, end, pageup, pagedown, f1-f12, kp0-kp9, kp-enter, kp-plus, kp-minus, kp-multiply, kp-divide, kp-decimal, kp-equal, or any single character. Modifiers: ctrl-, alt- (or meta-), shift-, combined like ctrl-shift-up. Repeat with ' xN', e.g. 'down x5'."),
+    text: z.string().optional().describe("Regular text to type (alternative to keys). Use this for typing normal text like passwords or commands."),
+    sequence: z.array(z.union([
+      z.string(),
+      z.object({
+        keys: z.string().optional().describe("Special key, as for the 'keys' parameter"),
+        text: z.string().optional().describe("Text to type"),
+        repeat: z.number().optional().describe("How many times to send this step"),
+        delay: z.number().optional().describe("Pause after this step in milliseconds"),
+      }),
+    ])).optional().describe("Ordered steps to send in one call. A string step is a key as for 'keys' (e.g. 'down x5', 'ctrl-x'); an object step has 'keys' or 'text' plus optional 'repeat' and 'delay'. Example: [\"escape\", {\"text\": \":wq\"}, \"enter\"]"),
+    delay: z.number().optional().describe("Pause between sequence steps in milliseconds (default 0)"),
   },
-  async ({ terminalId, lines }) => {
-    // Parse the terminal ID to get window and tab
-    const match = terminalId.match(/^iterm-(\d+)-(\d+)$/);
-    if (!match) {
+  async ({ terminalId, keys, text, sequence, delay = 0 }) => {
+    const target = backend.parseTerminalId(terminalId);
+    if (!target) {
+      return invalidTerminalId(terminalId);
+    }
+
+    if (!text && !keys && !(sequence && sequence.length > 0)) {
+      return toolError("invalid-argument", "No keys or text specified");
+    }
+
+    let steps;
+    let labels;
+    try {
+      ({ steps, labels } = parseKeySteps(sequence || [text ? { text } : { keys }], delay));
+    } catch (error) {
+      return toolError("invalid-argument", error.message);
+    }
+
+    // Follow what is typed at the prompt so a line submitted with enter can
+    // be checked against the command policy before the enter is sent
+    let line = typedLines.get(terminalId) || "";
+    const submitted = [];
+    for (const { data } of steps) {
+      // Escape sequences (arrows, alt-keys) do not change the typed text
+      if (data.startsWith('\x1b')) {
+        continue;
+      }
+      for (const char of data) {
+        if (char === '\r' || char === '\n') {
+          submitted.push(line);
+          line = "";
+        } else if (char === '\x03' || char === '\x15') {
+          line = "";
+        } else if (char === '\x7f' || char === '\b') {
+          line = line.slice(0, -1);
+        } else if (char >= ' ') {
+          line += char;
+        }
+      }
+    }
+
+    try {
+      for (const command of submitted.filter((submittedLine) => submittedLine.trim())) {
+        const refusal = await checkCommandPolicy(terminalId, target, command);
+        if (refusal) {
+          return policyRefusal(terminalId, command, refusal);
+        }
+      }
+
+      const found = await backend.sendKeys(target, steps);
+
+      if (!found) {
+        return terminalNotFound(terminalId);
+      }
+      typedLines.set(terminalId, line);
+
+      const description = sequence
+        ? `${labels.length} steps: ${labels.join(", ")}`
+        : text ? `text: "${text}"` : `key: ${keys}`;
+
       return {
         content: [
           {
             type: "text",
-            text: `Invalid terminal ID format: ${terminalId}`,
+            text: `Sent ${description} to ${terminalId}`,
           },
         ],
       };
+    } catch (error) {
+      return toolFailure("send keys", error);
     }
-    
-    const windowId = match[1];
-    const tabIndex = parseInt(match[2]);
-    
-    // Get the contents of the specific session
-    const script = `
-      tell application "iTerm2"
-        repeat with aWindow in windows
-          if (id of aWindow as string) = "${windowId}" then
-            tell aWindow
-              if (count of tabs) >= ${tabIndex} then
-                tell tab ${tabIndex}
-                  tell current session
-                    set output to contents
-                    ${lines ? `
-                    -- Get only last N lines
-                    set outputLines to paragraphs of output
-                    set lineCount to count of outputLines
-                    if lineCount > ${lines} then
-                      set startLine to lineCount - ${lines} + 1
-                      set output to items startLine thru lineCount of outputLines
-                      set AppleScript's text item delimiters to linefeed
-                      set output to output as string
-                      set AppleScript's text item delimiters to ""
-                    end if
-                    ` : ''}
-                    return output
-                  end tell
-                end tell
-              else
-                return "Tab not found"
-              end if
-            end tell
-            exit repeat
-          end if
-        end repeat
-      end tell
-      return "Window not found"
-    `;
-    
+  }
+);
+
+// Background jobs: long-running processes started in their own terminal
+// under a name. name -> { name, terminalId, command, cwd, marker, startedAt }
+const jobs = new Map();
+
+// Foreground processes on a tty other than the shell itself, from the
+// process table: [{ pid, command }]
+async function foregroundProcesses(tty) {
+  try {
+    const { stdout } = await runProcess("ps", ["-t", tty.replace(/^\/dev\//, ""), "-o", "pid=,stat=,comm="], { label: "ps" });
+    return stdout.split("\n").map((line) => line.trim().split(/\s+/)).filter(([pid, stat]) => (
+      // '+' marks the foreground process group, 's' the session leader (the shell)
+      pid && stat.includes("+") && !stat.includes("s")
+    )).map(([pid, , ...command]) => ({ pid: parseInt(pid), command: command.join(" ") }));
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    // ps exits non-zero when nothing runs on the tty
+    return [];
+  }
+}
+
+// Work out whether a job is running, has exited or lost its terminal,
+// along with its output with the exit marker removed
+async function jobState(job) {
+  const target = backend.parseTerminalId(job.terminalId);
+  const output = await backend.readOutput(target, { scrollback: true });
+  if (output === null) {
+    return { state: "terminal closed", output: "", processes: [] };
+  }
+
+  const lines = output.split("\n");
+  const exitPattern = new RegExp(`^__MCP_JOB_${job.marker}_EXIT_(\\d+)__$`);
+  const exitIndex = lines.findIndex((line) => exitPattern.test(line));
+  if (exitIndex !== -1) {
+    const outputLines = lines.slice(0, exitIndex);
+    // Drop the blank line the marker adds after output ending in a newline
+    if (outputLines.length > 0 && outputLines[outputLines.length - 1] === "") {
+      outputLines.pop();
+    }
+    return {
+      state: "exited",
+      exitCode: parseInt(lines[exitIndex].match(exitPattern)[1]),
+      output: outputLines.concat(lines.slice(exitIndex + 1)).join("\n").trimEnd(),
+      processes: [],
+    };
+  }
+
+  const tty = await backend.getTty(target);
+  const processes = tty ? await foregroundProcesses(tty) : [];
+  return { state: processes.length > 0 ? "running" : "not running", output, processes };
+}
+
+function describeJob(job, { state, exitCode, processes }) {
+  const status = state === "exited" ? `exited with code ${exitCode}` : state;
+  const pids = processes.length > 0
+    ? ` (${processes.map(({ pid, command }) => `${command} ${pid}`).join(", ")})`
+    : "";
+  return `${job.name}: ${status}${pids} in ${job.terminalId}, started ${job.startedAt}: ${job.command}`;
+}
+
+function jobNotFound(name) {
+  return toolError("not-found", `No job named ${name}`, { hint: "Use list-jobs to see the jobs started by start-job." });
+}
+
+registerTool(
+  "start-job",
+  "Starts a long-running process such as a dev server, watcher or build as a named background job in its own terminal. Use job-status to check on it and read its recent output, and stop-job to shut it down, instead of tracking terminal IDs yourself.",
+  {
+    name: z.string().describe("Name for the job, used with job-status and stop-job (e.g. 'dev-server')"),
+    command: z.string().describe("Command to run (e.g. 'npm run dev')"),
+    cwd: z.string().optional().describe("Directory to run the command in"),
+    env: z.record(z.string()).optional().describe("Environment variables to set for the command"),
+  },
+  async ({ name, command, cwd, env }) => {
+    const badName = invalidEnvName(env);
+    if (badName !== undefined) {
+      return toolError("invalid-argument", `Invalid environment variable name: ${badName}`);
+    }
+
     try {
-      const output = await executeITermScript(script);
-      
-      if (output === "Window not found" || output === "Tab not found") {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Terminal ${terminalId} not found in iTerm`,
-            },
-          ],
-        };
+      const existing = jobs.get(name);
+      if (existing && (await jobState(existing)).state === "running") {
+        return toolError("invalid-argument", `Job ${name} is already running in ${existing.terminalId}`, {
+          hint: "Stop it with stop-job or choose another name.",
+        });
+      }
+
+      const refusal = await checkCommandPolicy(null, null, command, { cwd: cwd ? resolve(expandHome(cwd)) : "" });
+      if (refusal) {
+        return policyRefusal(`job ${name}`, command, refusal);
       }
-      
+
+      // The exit marker tells a finished job apart from one still running.
+      // As in runCommandAndWait, the command goes in a { ... } group so a
+      // trailing & or # comment cannot swallow it.
+      const marker = randomBytes(6).toString("hex");
+      const terminalId = await backend.openTerminal({
+        placement: "window",
+        cwd,
+        env,
+        title: name,
+        command: `{\n${command.trimEnd()}\n}; printf '\\n__MCP_JOB_%s_EXIT_%s__\\n' ${marker} "$?"`,
+      });
+      sendResourceListChanged();
+
+      jobs.set(name, { name, terminalId, command, cwd, marker, startedAt: new Date().toISOString() });
+
       return {
         content: [
           {
             type: "text",
-            text: output || "No output available",
+            text: `Job ${name} started in ${terminalId}: ${command}`,
+          },
+        ],
+      };
+    } catch (error) {
+      return toolFailure("start job", error);
+    }
+  }
+);
+
+registerTool(
+  "job-status",
+  "Reports whether a job started with start-job is still running, has exited (with its exit code) or lost its terminal, together with its most recent output.",
+  {
+    name: z.string().describe("Name of the job given to start-job"),
+    lines: z.number().optional().describe("Number of recent output lines to return (default 20)"),
+  },
+  async ({ name, lines = 20 }) => {
+    const job = jobs.get(name);
+    if (!job) {
+      return jobNotFound(name);
+    }
+
+    try {
+      const status = await jobState(job);
+      const output = lastLines(status.output.trimEnd(), lines);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${describeJob(job, status)}\n${output || "No output"}`,
           },
         ],
       };
     } catch (error) {
+      return toolFailure("get job status", error);
+    }
+  }
+);
+
+registerTool(
+  "list-jobs",
+  "Lists the jobs started with start-job with their state, terminal ID and command.",
+  {},
+  async () => {
+    try {
+      const descriptions = [];
+      for (const job of jobs.values()) {
+        descriptions.push(describeJob(job, await jobState(job)));
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: `Failed to read output: ${error.message}`,
+            text: descriptions.length > 0 ? `Jobs:\n${descriptions.join("\n")}` : "No jobs started",
           },
         ],
       };
+    } catch (error) {
+      return toolFailure("list jobs", error);
     }
   }
 );
 
-server.tool(
-  "close-terminal",
-  "Closes the iTerm2 window associated with the specified terminal ID. This will terminate any running processes in that terminal. The terminal ID will be removed from tracking after closing.",
+registerTool(
+  "stop-job",
+  "Stops a job started with start-job. Sends ctrl-c first and, if the process is still running after the grace period, escalates to ctrl-\\, then SIGTERM and finally SIGKILL to the job's foreground processes. Optionally closes the job's terminal afterwards.",
   {
-    terminalId: z.string().describe("The terminal ID to close. This will close the entire iTerm2 window."),
+    name: z.string().describe("Name of the job given to start-job"),
+    timeout: z.number().optional().describe("Grace period in milliseconds after each step before escalating (default 5000)"),
+    closeTerminal: z.boolean().optional().describe("Close the job's terminal once the job has stopped (default false)"),
   },
-  async ({ terminalId }) => {
-    // Parse the terminal ID to get window and tab
-    const match = terminalId.match(/^iterm-(\d+)-(\d+)$/);
-    if (!match) {
+  async ({ name, timeout = 5000, closeTerminal = false }) => {
+    const job = jobs.get(name);
+    if (!job) {
+      return jobNotFound(name);
+    }
+    const target = backend.parseTerminalId(job.terminalId);
+
+    // Wait until the job is no longer running or the grace period is over
+    const waitForStop = async () => {
+      const startTime = Date.now();
+      let status = await jobState(job);
+      while (status.state === "running" && Date.now() - startTime < timeout) {
+        await sleep(250);
+        status = await jobState(job);
+      }
+      return status;
+    };
+
+    const signal = (signalName) => async ({ processes }) => {
+      for (const { pid } of processes) {
+        try {
+          process.kill(pid, signalName);
+        } catch {
+          // Already gone
+        }
+      }
+    };
+    const steps = [
+      ["ctrl-c", () => backend.sendKeys(target, [{ data: '\x03', delay: 0 }])],
+      ["ctrl-\\", () => backend.sendKeys(target, [{ data: '\x1c', delay: 0 }])],
+      ["SIGTERM", signal("SIGTERM")],
+      ["SIGKILL", signal("SIGKILL")],
+    ];
+
+    try {
+      let status = await jobState(job);
+      const sent = [];
+      for (const [label, step] of steps) {
+        if (status.state !== "running") {
+          break;
+        }
+        await step(status);
+        sent.push(label);
+        status = await waitForStop();
+      }
+
+      if (status.state === "running") {
+        return toolError("timeout", `Job ${name} is still running after ${sent.join(", ")}\n${describeJob(job, status)}`, {
+          hint: "Try stop-job again with a longer timeout, or close the job's terminal with closeTerminal.",
+        });
+      }
+
+      let closed = "";
+      if (closeTerminal && status.state !== "terminal closed") {
+        await backend.closeTerminal(target);
+        readPositions.delete(job.terminalId);
+        typedLines.delete(job.terminalId);
+        sendResourceListChanged();
+        closed = ` and closed ${job.terminalId}`;
+      }
+
+      const how = sent.length > 0 ? ` after ${sent.join(", ")}` : " (it was not running)";
       return {
         content: [
           {
             type: "text",
-            text: `Invalid terminal ID format: ${terminalId}`,
+            text: `Job ${name} stopped${how}${closed}\n${describeJob(job, status)}`,
           },
         ],
       };
+    } catch (error) {
+      return toolFailure("stop job", error);
     }
-    
-    const windowId = match[1];
-    const tabIndex = parseInt(match[2]);
-    
-    // Close the specific window (since we create one window per terminal)
-    const script = `
-      tell application "iTerm2"
-        repeat with aWindow in windows
-          if (id of aWindow as string) = "${windowId}" then
-            close aWindow
-            return "Closed"
-          end if
-        end repeat
-      end tell
-      return "Window not found"
-    `;
-    
+  }
+);
+
+// Workspaces: named sets of terminals declared in a layout and opened and
+// closed together. A layout comes from the "workspaces" section of the
+// config file, a JSON layout file or the tool call itself:
+//
+//   {
+//     "name": "myapp",
+//     "root": "~/code/myapp",
+//     "env": { "NODE_ENV": "development" },
+//     "terminals": [
+//       { "name": "server", "cwd": "api", "command": "npm run dev", "readyPattern": "Listening on" },
+//       { "name": "tests", "placement": "split-vertical", "relativeTo": "server", "command": "npm test -- --watch" }
+//     ]
+//   }
+//
+// Terminal directories are relative to root, which is relative to the
+// layout file. Open workspaces: name -> { name, terminals: [{ name, terminalId }] }
+const workspaces = new Map();
+
+const workspaceTerminalSchema = z.object({
+  name: z.string().describe("Name of the terminal within the workspace"),
+  placement: z.enum(["window", "tab", "split-vertical", "split-horizontal"]).optional().describe("Where to open the terminal, as for open-terminal (default window)"),
+  relativeTo: z.string().optional().describe("Name of an earlier terminal in the workspace to open a tab or split pane of"),
+  profile: z.string().optional().describe("iTerm2 profile name"),
+  cwd: z.string().optional().describe("Directory to start in, relative to the workspace root"),
+  env: z.record(z.string()).optional().describe("Environment variables, added to the workspace's"),
+  title: z.string().optional().describe("Title of the terminal (default: its name)"),
+  columns: z.number().optional().describe("Terminal width in columns"),
+  rows: z.number().optional().describe("Terminal height in rows"),
+  command: z.union([z.string(), z.array(z.string())]).optional().describe("Command, or commands in order, to run once the shell has started"),
+  readyPattern: z.string().optional().describe("Regular expression to wait for in the terminal's output before the workspace counts as ready"),
+  readyTimeout: z.number().optional().describe("How long to wait for readyPattern in milliseconds (default 30000)"),
+});
+
+const workspaceSchema = z.object({
+  name: z.string().optional().describe("Name of the workspace, used with close-workspace"),
+  root: z.string().optional().describe("Directory the terminal directories are relative to"),
+  env: z.record(z.string()).optional().describe("Environment variables for every terminal"),
+  terminals: z.array(workspaceTerminalSchema).min(1).describe("The terminals to open, in order"),
+});
+
+// Find the layout for an open-workspace call: { layout, baseDir } or a
+// tool error result. baseDir is where a relative root starts.
+function loadWorkspaceLayout({ name, file, layout }) {
+  if ([name, file, layout].filter((source) => source !== undefined).length !== 1) {
+    return { error: toolError("invalid-argument", "Give exactly one of name, file and layout") };
+  }
+
+  let source = layout;
+  let baseDir = process.cwd();
+  if (name !== undefined) {
+    source = config.workspaces?.[name];
+    if (!source) {
+      const known = Object.keys(config.workspaces || {});
+      return {
+        error: toolError("invalid-argument", `No workspace named ${name} in the config file`, {
+          hint: known.length > 0 ? `Known workspaces: ${known.join(", ")}` : "Add it under \"workspaces\" in the config file, or pass a layout file.",
+        }),
+      };
+    }
+    source = { name, ...source };
+  } else if (file !== undefined) {
+    const layoutPath = resolve(expandHome(file));
     try {
-      const result = await executeITermScript(script);
-      
-      if (result === "Window not found") {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Terminal ${terminalId} was not found in iTerm`,
-            },
-          ],
-        };
+      source = JSON.parse(readFileSync(layoutPath, "utf8"));
+    } catch (error) {
+      return { error: toolError("invalid-argument", `Could not read layout file ${layoutPath}: ${error.message}`) };
+    }
+    baseDir = dirname(layoutPath);
+    source = { name: layoutPath.split("/").pop().replace(/\.json$/, ""), ...source };
+  }
+
+  const parsed = workspaceSchema.safeParse(source);
+  if (!parsed.success) {
+    const problems = parsed.error.issues.map((issue) => `${issue.path.join(".") || "layout"}: ${issue.message}`);
+    return { error: toolError("invalid-argument", `Invalid workspace layout: ${problems.join("; ")}`) };
+  }
+  if (!parsed.data.name) {
+    return { error: toolError("invalid-argument", "The workspace layout needs a name") };
+  }
+  return { layout: parsed.data, baseDir };
+}
+
+// Check a layout for mistakes before anything is opened. Returns an error
+// message or null.
+function checkWorkspaceLayout(layout) {
+  const seen = new Set();
+  for (const terminal of layout.terminals) {
+    if (seen.has(terminal.name)) {
+      return `Terminal name ${terminal.name} is used twice`;
+    }
+    const placement = terminal.placement || "window";
+    if (placement !== "window" && !seen.has(terminal.relativeTo)) {
+      return `Terminal ${terminal.name} needs relativeTo naming an earlier terminal for placement ${placement}`;
+    }
+    const badName = invalidEnvName({ ...layout.env, ...terminal.env });
+    if (badName !== undefined) {
+      return `Invalid environment variable name in ${terminal.name}: ${badName}`;
+    }
+    if (terminal.readyPattern !== undefined) {
+      try {
+        new RegExp(terminal.readyPattern);
+      } catch (error) {
+        return `Invalid readyPattern in ${terminal.name}: ${error.message}`;
+      }
+    }
+    seen.add(terminal.name);
+  }
+  return null;
+}
+
+// Wait until a line after startLine, a start sentinel printed by the
+// terminal's last command line, matches regex. Returns the time it took,
+// or null on timeout or if the terminal has gone.
+async function waitForLine(target, regex, startLine, timeout, pollInterval = 500) {
+  const startTime = Date.now();
+  let started = false;
+  while (true) {
+    const output = await backend.readOutput(target, { scrollback: true, lines: pollLines });
+    if (output === null) {
+      return null;
+    }
+    const lines = output.split("\n");
+    // Once the sentinel has scrolled past the lines read, everything counts
+    const startIndex = lines.lastIndexOf(startLine);
+    started = started || startIndex !== -1;
+    if (started && lines.slice(startIndex + 1).some((line) => regex.test(line))) {
+      return Date.now() - startTime;
+    }
+    if (Date.now() - startTime >= timeout) {
+      return null;
+    }
+    await sleep(pollInterval);
+  }
+}
+
+// Close a workspace's terminals, newest first so split panes go before the
+// terminals they split. Returns the IDs that were still open.
+async function closeWorkspaceTerminals(terminals) {
+  const closed = [];
+  for (const { terminalId } of [...terminals].reverse()) {
+    const target = backend.parseTerminalId(terminalId);
+    const { result } = await runQueued(terminalId, () => backend.closeTerminal(target));
+    if (result) {
+      closed.push(terminalId);
+    }
+  }
+  return closed;
+}
+
+function describeWorkspace(terminals) {
+  return terminals.map(({ name: terminalName, terminalId, readyMs, ready }) => {
+    let status = "";
+    if (ready === true) {
+      status = ` (ready after ${readyMs}ms)`;
+    } else if (ready === false) {
+      status = " (not ready: readyPattern did not appear)";
+    }
+    return `  ${terminalName}: ${terminalId}${status}`;
+  }).join("\n");
+}
+
+registerTool(
+  "open-workspace",
+  "Opens a workspace: a named set of terminals declared in a layout, each with its directory, environment, startup commands and an optional pattern to wait for before it counts as ready. Takes the name of a workspace in the server's config file, the path of a JSON layout file or the layout itself. Returns a map from terminal names to terminal IDs. Close the whole set again with close-workspace.",
+  {
+    name: z.string().optional().describe("Name of a workspace declared under \"workspaces\" in the server's config file"),
+    file: z.string().optional().describe("Path of a JSON layout file on this machine"),
+    layout: workspaceSchema.optional().describe("The layout itself, in the same format as a layout file"),
+  },
+  async (args) => {
+    const { layout, baseDir, error } = loadWorkspaceLayout(args);
+    if (error) {
+      return error;
+    }
+    const problem = checkWorkspaceLayout(layout);
+    if (problem) {
+      return toolError("invalid-argument", problem);
+    }
+
+    const existing = workspaces.get(layout.name);
+    if (existing) {
+      return toolError("invalid-argument", `Workspace ${layout.name} is already open:\n${describeWorkspace(existing.terminals)}`, {
+        hint: "Use its terminals, or close it with close-workspace first.",
+        terminals: Object.fromEntries(existing.terminals.map(({ name, terminalId }) => [name, terminalId])),
+      });
+    }
+
+    const root = resolve(baseDir, expandHome(layout.root || "."));
+    const plans = layout.terminals.map((terminal) => ({
+      ...terminal,
+      cwd: resolve(root, expandHome(terminal.cwd || ".")),
+      env: { ...layout.env, ...terminal.env },
+      commands: typeof terminal.command === "string" ? [terminal.command] : terminal.command || [],
+    }));
+
+    // Check every command first, so a refusal leaves nothing half open
+    try {
+      for (const plan of plans) {
+        for (const command of plan.commands) {
+          const refusal = await checkCommandPolicy(null, null, command, { cwd: plan.cwd });
+          if (refusal) {
+            return policyRefusal(`workspace terminal ${plan.name}`, command, refusal);
+          }
+        }
+      }
+    } catch (error) {
+      return toolFailure("check command policy", error);
+    }
+
+    const terminals = [];
+    const startLines = [];
+    try {
+      for (const plan of plans) {
+        const relativeTo = plan.relativeTo && backend.parseTerminalId(terminals.find(({ name }) => name === plan.relativeTo).terminalId);
+        const terminalId = await backend.openTerminal({
+          placement: plan.placement || "window",
+          relativeTo,
+          profile: plan.profile,
+          cwd: plan.cwd,
+          env: plan.env,
+          title: plan.title || plan.name,
+          columns: plan.columns,
+          rows: plan.rows,
+        });
+        if (!terminalId) {
+          throw new Error(`Terminal ${plan.relativeTo} closed while the workspace was opening`);
+        }
+        terminals.push({ name: plan.name, terminalId });
+
+        // The ready pattern only counts after a start sentinel printed by
+        // the last command line, so the shell's echo of the commands cannot
+        // match it. As in runCommandAndWait, the marker is a printf
+        // argument, so the echo does not match the sentinel either.
+        const commands = [...plan.commands];
+        let startLine = null;
+        if (plan.readyPattern !== undefined) {
+          const marker = randomBytes(6).toString("hex");
+          const lastCommand = commands.pop();
+          startLine = `__MCP_${marker}_START__`;
+          commands.push(`printf '__MCP_%s_START__\\n' ${marker}${lastCommand === undefined ? "" : `; ${lastCommand}`}`);
+        }
+        startLines.push(startLine);
+
+        const target = backend.parseTerminalId(terminalId);
+        for (const command of commands) {
+          await backend.executeCommand(target, command);
+        }
+      }
+    } catch (error) {
+      // Leave nothing behind from a workspace that failed to open
+      await closeWorkspaceTerminals(terminals).catch(() => {});
+      return toolFailure(`open workspace ${layout.name}`, error);
+    } finally {
+      if (terminals.length > 0) {
+        sendResourceListChanged();
       }
+    }
+    workspaces.set(layout.name, { name: layout.name, terminals });
+
+    // Wait for every ready pattern at once
+    try {
+      await Promise.all(plans.map(async (plan, index) => {
+        if (plan.readyPattern === undefined) {
+          return;
+        }
+        const readyMs = await waitForLine(backend.parseTerminalId(terminals[index].terminalId), new RegExp(plan.readyPattern), startLines[index], plan.readyTimeout || 30000);
+        Object.assign(terminals[index], { ready: readyMs !== null, readyMs });
+      }));
     } catch (error) {
-      console.error("Failed to close iTerm window:", error);
+      return toolFailure(`wait for workspace ${layout.name}`, error);
     }
-    
+
+    const notReady = terminals.filter(({ ready }) => ready === false).map(({ name }) => name);
     return {
       content: [
         {
           type: "text",
-          text: `Terminal ${terminalId} closed`,
+          text: `Workspace ${layout.name} opened${notReady.length > 0 ? `, but ${notReady.join(", ")} did not become ready` : ""}:\n${describeWorkspace(terminals)}`,
         },
       ],
+      structuredContent: {
+        workspace: layout.name,
+        terminals: Object.fromEntries(terminals.map(({ name, terminalId }) => [name, terminalId])),
+        notReady,
+      },
     };
   }
 );
 
-server.tool(
-  "list-terminals",
-  "Lists all currently tracked terminal sessions with their IDs and iTerm2 window/tab information. Also shows the actual number of iTerm2 windows and tabs open. Useful for finding available terminals or debugging connection issues.",
-  {},
-  async () => {
-    // Get all open iTerm windows and tabs
-    const script = `
-      tell application "iTerm2"
-        set windowCount to count of windows
-        set totalTabs to 0
-        set windowList to ""
-        repeat with aWindow in windows
-          set windowId to id of aWindow as string
-          set tabCount to count of tabs of aWindow
-          set totalTabs to totalTabs + tabCount
-          repeat with tabIndex from 1 to tabCount
-            if windowList is not "" then
-              set windowList to windowList & "\n"
-            end if
-            set windowList to windowList & "iterm-" & windowId & "-" & tabIndex
-          end repeat
-        end repeat
-        return "Windows: " & windowCount & ", Total tabs: " & totalTabs & "\n" & windowList
-      end tell
-    `;
-    
-    let result = "";
+registerTool(
+  "close-workspace",
+  "Closes every terminal of a workspace opened with open-workspace, ending the processes running in them.",
+  {
+    name: z.string().describe("Name of the workspace to close"),
+  },
+  async ({ name }) => {
+    const workspace = workspaces.get(name);
+    if (!workspace) {
+      const open = [...workspaces.keys()];
+      return toolError("not-found", `Workspace ${name} is not open`, {
+        hint: open.length > 0 ? `Open workspaces: ${open.join(", ")}` : "No workspaces are open. Open one with open-workspace.",
+      });
+    }
+
+    let closed;
     try {
-      result = await executeITermScript(script);
+      closed = await closeWorkspaceTerminals(workspace.terminals);
     } catch (error) {
-      result = "Could not get iTerm status";
+      return toolFailure(`close workspace ${name}`, error);
     }
-    
+    workspaces.delete(name);
+    sendResourceListChanged();
+
+    const alreadyClosed = workspace.terminals.length - closed.length;
     return {
       content: [
         {
           type: "text",
-          text: `iTerm status and terminal IDs:
-${result}`,
+          text: `Workspace ${name} closed: ${closed.length} terminal${closed.length === 1 ? "" : "s"}${alreadyClosed > 0 ? `, ${alreadyClosed} already closed` : ""}`,
         },
       ],
+      structuredContent: { workspace: name, closed },
     };
   }
 );
 
-server.tool(
-  "clear-terminal",
-  "Clears the terminal screen by sending the 'clear' command. This removes all visible output and moves the cursor to the top. The command history and scroll buffer are preserved.",
+registerTool(
+  "export-transcript",
+  "Exports the history of a terminal: every tool call made against it with the commands and keys typed and the output read back. Writes Markdown for reviewing or asciicast-style JSON for replaying. Only the most recent 4 MiB of history is kept per terminal. Returns the transcript directly unless a file path is given.",
   {
-    terminalId: z.string().describe("The terminal ID to clear. Executes the 'clear' command in that terminal."),
+    terminalId: z.string().describe("The terminal ID to export the history of"),
+    format: z.enum(["markdown", "asciicast"]).optional().describe("Transcript format: 'markdown' (default) or 'asciicast' (asciicast v2 JSON lines)"),
+    path: z.string().optional().describe("File to write the transcript to. If omitted, the transcript is returned as text."),
   },
-  async ({ terminalId }) => {
-    // Parse the terminal ID to get window and tab
-    const match = terminalId.match(/^iterm-(\d+)-(\d+)$/);
-    if (!match) {
+  async ({ terminalId, format = "markdown", path }) => {
+    const entries = (transcripts.get(terminalId)?.entries || []).map(({ entry }) => entry);
+    if (entries.length === 0) {
+      return toolError("not-found", `No history recorded for terminal ${terminalId}`);
+    }
+
+    const transcript = format === "asciicast"
+      ? formatTranscriptAsciicast(terminalId, entries)
+      : formatTranscriptMarkdown(terminalId, entries);
+
+    if (!path) {
       return {
         content: [
           {
             type: "text",
-            text: `Invalid terminal ID format: ${terminalId}`,
+            text: transcript,
           },
         ],
       };
     }
-    
-    const windowId = match[1];
-    const tabIndex = parseInt(match[2]);
-    
-    // Clear the terminal screen
-    const script = `
-      tell application "iTerm2"
-        repeat with aWindow in windows
-          if (id of aWindow as string) = "${windowId}" then
-            tell aWindow
-              if (count of tabs) >= ${tabIndex} then
-                tell tab ${tabIndex}
-                  tell current session
-                    write text "clear"
-                    return "Cleared"
-                  end tell
-                end tell
-              else
-                return "Tab not found"
-              end if
-            end tell
-            exit repeat
-          end if
-        end repeat
-      end tell
-      return "Window not found"
-    `;
-    
+
     try {
-      const result = await executeITermScript(script);
-      
-      if (result === "Window not found" || result === "Tab not found") {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Terminal ${terminalId} not found in iTerm`,
-            },
-          ],
-        };
-      }
-      
+      const filePath = resolve(expandHome(path));
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(filePath, transcript);
+
       return {
         content: [
           {
             type: "text",
-            text: `Terminal ${terminalId} cleared`,
+            text: `Transcript for ${terminalId} (${entries.length} tool calls) written to ${filePath}`,
           },
         ],
       };
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Failed to clear terminal: ${error.message}`,
-          },
-        ],
-      };
+      return toolFailure("write transcript", error);
     }
   }
 );
 
-server.tool(
-  "send-keys",
-  "Send keystrokes or text to a terminal for TUI interaction. Use 'keys' for special keys (tab, enter, arrows, ctrl-c, etc.) or 'text' for regular typing. Either 'keys' OR 'text' should be provided, not both.",
-  {
-    terminalId: z.string().describe("ID of the terminal to send keys to"),
-    keys: z.string().optional().describe("Special keys to send. Options: tab, shift-tab, enter, escape, backspace, delete, up, down, left, right, home, end, pageup, pagedown, ctrl-[a-z], f[1-12]"),
-    text: z.string().optional().describe("Regular text to type (alternative to keys). Use this for typing normal text like passwords or commands."),
-  },
-  async ({ terminalId, keys, text }) => {
-    // Parse the terminal ID to get window and tab
-    const match = terminalId.match(/^iterm-(\d+)-(\d+)$/);
-    if (!match) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Invalid terminal ID format: ${terminalId}`,
-          },
-        ],
-      };
+// Terminal resources
+//
+// Every terminal is published as two resources, listed from the same data
+// as list-terminals:
+//
+//   iterm://terminal/<terminalId>/screen      the visible screen
+//   iterm://terminal/<terminalId>/scrollback  the full scrollback
+//
+// Clients can subscribe to them. Subscribed terminals are polled and a
+// resources/updated notification is sent whenever their contents change.
+
+const resourcePollInterval = config.resourcePollInterval || 1000;
+
+// uri -> { contents, subscribers } for a subscribed resource: the last
+// contents seen and the servers whose clients subscribed
+const subscriptions = new Map();
+let subscriptionTimer = null;
+
+function parseResourceUri(uri) {
+  const match = uri.match(/^iterm:\/\/terminal\/([^/]+)\/(screen|scrollback)$/);
+  if (!match) {
+    return null;
+  }
+  return { terminalId: decodeURIComponent(match[1]), view: match[2] };
+}
+
+// Read a terminal resource; null if the terminal no longer exists
+async function readTerminalResource(terminalId, view) {
+  const target = backend.parseTerminalId(terminalId);
+  // Terminals the server may not use are treated as missing
+  if (!target || (requireOwnership && !(await backend.isOwned(target)))) {
+    return null;
+  }
+  return backend.readOutput(target, { scrollback: view === "scrollback" });
+}
+
+async function pollSubscriptions() {
+  for (const [uri, subscription] of subscriptions) {
+    const { terminalId, view } = parseResourceUri(uri);
+    let contents;
+    try {
+      contents = await readTerminalResource(terminalId, view);
+    } catch (error) {
+      // Try again on the next tick
+      continue;
     }
-    
-    const windowId = match[1];
-    const tabIndex = parseInt(match[2]);
-    
-    // Map special keys to their hex codes for iTerm2
-    const keyMap = {
-      'tab': '\\t',
-      'enter': '\\r',
-      'escape': '\\033',
-      'backspace': '\\177',
-      'delete': '\\177',
-      'up': '\\033[A',
-      'down': '\\033[B',
-      'right': '\\033[C',
-      'left': '\\033[D',
-      'home': '\\033[H',
-      'end': '\\033[F',
-      'pageup': '\\033[5~',
-      'pagedown': '\\033[6~',
-      'ctrl-a': '\\001',
-      'ctrl-b': '\\002',
-      'ctrl-c': '\\003',
-      'ctrl-d': '\\004',
-      'ctrl-e': '\\005',
-      'ctrl-f': '\\006',
-      'ctrl-g': '\\007',
-      'ctrl-h': '\\010',
-      'ctrl-i': '\\t',
-      'ctrl-j': '\\n',
-      'ctrl-k': '\\013',
-      'ctrl-l': '\\014',
-      'ctrl-m': '\\r',
-      'ctrl-n': '\\016',
-      'ctrl-o': '\\017',
-      'ctrl-p': '\\020',
-      'ctrl-q': '\\021',
-      'ctrl-r': '\\022',
-      'ctrl-s': '\\023',
-      'ctrl-t': '\\024',
-      'ctrl-u': '\\025',
-      'ctrl-v': '\\026',
-      'ctrl-w': '\\027',
-      'ctrl-x': '\\030',
-      'ctrl-y': '\\031',
-      'ctrl-z': '\\032',
-      'shift-tab': '\\033[Z',
-      'f1': '\\033OP',
-      'f2': '\\033OQ',
-      'f3': '\\033OR',
-      'f4': '\\033OS',
-      'f5': '\\033[15~',
-      'f6': '\\033[17~',
-      'f7': '\\033[18~',
-      'f8': '\\033[19~',
-      'f9': '\\033[20~',
-      'f10': '\\033[21~',
-      'f11': '\\033[23~',
-      'f12': '\\033[24~',
-    };
-    
-    let sequenceToSend = '';
-    
-    if (text) {
-      // Send regular text (escape it for AppleScript)
-      sequenceToSend = escapeForAppleScript(text);
-    } else if (keys) {
-      // Process special keys
-      const keyLower = keys.toLowerCase();
-      if (keyMap[keyLower]) {
-        // Use hex code for special key
-        sequenceToSend = keyMap[keyLower];
-      } else {
-        // Send as regular text
-        sequenceToSend = escapeForAppleScript(keys);
+
+    // The subscription may have ended while we were reading
+    if (subscriptions.get(uri) === subscription && contents !== subscription.contents) {
+      subscription.contents = contents;
+      for (const server of subscription.subscribers) {
+        try {
+          await server.server.sendResourceUpdated({ uri });
+        } catch (error) {
+          // The client disconnected; its subscriptions go when the server closes
+        }
       }
-    } else {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `No keys or text specified`,
-          },
-        ],
-      };
     }
-    
-    // Send the keystroke using iTerm2's write text command
-    // For control characters, we need to use a special approach
-    let script;
-    
-    // Check if this is a control key combination
-    if (keys && keys.toLowerCase().startsWith('ctrl-')) {
-      // For control keys, use iTerm's special ASCII character sending
-      const letter = keys.toLowerCase().charAt(5); // Get the letter after 'ctrl-'
-      const controlCode = letter.charCodeAt(0) - 96; // Convert to control code (a=1, b=2, c=3, etc.)
-      
-      script = `
-        tell application "iTerm2"
-          repeat with aWindow in windows
-            if (id of aWindow as string) = "${windowId}" then
-              tell aWindow
-                if (count of tabs) >= ${tabIndex} then
-                  tell tab ${tabIndex}
-                    tell current session
-                      -- Send control character using ASCII code
-                      write text (ASCII character ${controlCode}) newline NO
-                      return "Keys sent"
-                    end tell
-                  end tell
-                else
-                  return "Tab not found"
-                end if
-              end tell
-              exit repeat
-            end if
-          end repeat
-        end tell
-        return "Window not found"
-      `;
-    } else {
-      // For regular text and other special keys, use the escape sequences
-      script = `
-        tell application "iTerm2"
-          repeat with aWindow in windows
-            if (id of aWindow as string) = "${windowId}" then
-              tell aWindow
-                if (count of tabs) >= ${tabIndex} then
-                  tell tab ${tabIndex}
-                    tell current session
-                      write text "${sequenceToSend}" newline NO
-                      return "Keys sent"
-                    end tell
-                  end tell
-                else
-                  return "Tab not found"
-                end if
-              end tell
-              exit repeat
-            end if
-          end repeat
-        end tell
-        return "Window not found"
-      `;
+  }
+}
+
+function startSubscriptionPolling() {
+  if (subscriptionTimer) {
+    return;
+  }
+
+  let polling = false;
+  subscriptionTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow poll
+    if (polling) {
+      return;
     }
-    
+    polling = true;
     try {
-      const result = await executeITermScript(script);
-      
-      if (result === "Window not found" || result === "Tab not found") {
+      await pollSubscriptions();
+    } catch (error) {
+      console.error("Failed to poll terminal resources:", error);
+    } finally {
+      polling = false;
+    }
+  }, resourcePollInterval);
+}
+
+function stopSubscriptionPolling() {
+  if (subscriptionTimer && subscriptions.size === 0) {
+    clearInterval(subscriptionTimer);
+    subscriptionTimer = null;
+  }
+}
+
+function listTerminalResources(view, description) {
+  return async () => {
+    const { terminalIds, ownedTerminalIds } = await backend.listTerminals();
+    return {
+      resources: (requireOwnership ? ownedTerminalIds : terminalIds).map((terminalId) => ({
+        uri: `iterm://terminal/${encodeURIComponent(terminalId)}/${view}`,
+        name: `${terminalId} ${view}`,
+        description: `${description} of terminal ${terminalId}`,
+        mimeType: "text/plain",
+      })),
+    };
+  };
+}
+
+// Remove a server's subscriptions once its client has gone
+function unsubscribeServer(server) {
+  for (const [uri, { subscribers }] of subscriptions) {
+    subscribers.delete(server);
+    if (subscribers.size === 0) {
+      subscriptions.delete(uri);
+    }
+  }
+  stopSubscriptionPolling();
+}
+
+// Publish the terminal resources on a server and let its client subscribe
+function registerResources(server) {
+  for (const [view, description] of [["screen", "Visible screen"], ["scrollback", "Full scrollback"]]) {
+    server.resource(
+      `terminal-${view}`,
+      new ResourceTemplate(`iterm://terminal/{terminalId}/${view}`, { list: listTerminalResources(view, description) }),
+      { description: `${description} of a terminal. Subscribe to be notified when it changes.`, mimeType: "text/plain" },
+      async (uri, { terminalId }) => {
+        const contents = await readTerminalResource(decodeURIComponent(terminalId), view);
+        if (contents === null) {
+          throw new Error(`Terminal ${terminalId} not found in ${backend.label}`);
+        }
         return {
-          content: [
+          contents: [
             {
-              type: "text",
-              text: `Terminal ${terminalId} not found in iTerm`,
+              uri: uri.href,
+              mimeType: "text/plain",
+              text: redactSecrets(contents).text,
             },
           ],
         };
       }
-      
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Sent ${text ? `text: "${text}"` : `key: ${keys}`} to ${terminalId}`,
-          },
-        ],
+    );
+  }
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const resource = parseResourceUri(uri);
+    if (!resource) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    // Remember the current contents so only later changes are notified
+    let subscription = subscriptions.get(uri);
+    if (!subscription) {
+      subscription = { contents: await readTerminalResource(resource.terminalId, resource.view), subscribers: new Set() };
+      subscriptions.set(uri, subscription);
+    }
+    subscription.subscribers.add(server);
+    startSubscriptionPolling();
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const subscription = subscriptions.get(uri);
+    if (subscription) {
+      subscription.subscribers.delete(server);
+      if (subscription.subscribers.size === 0) {
+        subscriptions.delete(uri);
+      }
+    }
+    stopSubscriptionPolling();
+    return {};
+  });
+}
+
+// Create a server for a new client with every tool and resource. It is
+// dropped from servers, with its subscriptions, when the client goes.
+function createServer() {
+  const server = new McpServer({
+    name: "terminal",
+    version: "1.0.0",
+  });
+  for (const definition of toolDefinitions) {
+    server.tool(definition.name, definition.description, definition.schema, (args, extra) =>
+      callTool(server, definition, args, extra)
+    );
+  }
+  registerResources(server);
+
+  servers.add(server);
+  server.server.onclose = () => {
+    servers.delete(server);
+    unsubscribeServer(server);
+  };
+  return server;
+}
+
+// HTTP transports
+//
+// With --transport http the server listens for any number of clients at
+// once instead of one on stdio:
+//
+//   /mcp                    Streamable HTTP
+//   /sse and /messages      the older HTTP+SSE transport
+//
+// It binds to localhost unless told otherwise, and every request must carry
+// the configured token as "Authorization: Bearer <token>".
+
+const httpHost = flagValue("host") || config.http?.host || "127.0.0.1";
+const httpPort = parseInt(flagValue("port") || config.http?.port || 3000);
+const httpToken = process.env.ITERM_MCP_HTTP_TOKEN || config.http?.token;
+
+// Largest JSON-RPC message accepted over HTTP
+const maxHttpBodyBytes = 4 * 1024 * 1024;
+
+// Value of a --name value or --name=value command-line flag
+function flagValue(name) {
+  const args = process.argv.slice(2);
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === `--${name}`) {
+      return args[index + 1];
+    }
+    if (args[index].startsWith(`--${name}=`)) {
+      return args[index].slice(name.length + 3);
+    }
+  }
+  return undefined;
+}
+
+function isAuthorized(req) {
+  const expected = Buffer.from(`Bearer ${httpToken}`);
+  const given = Buffer.from(req.headers.authorization || "");
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Send a JSON-RPC error that is not a reply to any particular request
+function sendHttpError(res, status, code, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxHttpBodyBytes) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(Object.assign(new Error("Parse error: body is not valid JSON"), { status: 400, code: -32700 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Streamable HTTP transports and SSE transports, by session ID
+const httpSessions = new Map();
+const sseSessions = new Map();
+
+async function handleHttpRequest(req, res) {
+  if (!isAuthorized(req)) {
+    sendHttpError(res, 401, -32001, "Unauthorized: missing or wrong bearer token", { "WWW-Authenticate": "Bearer" });
+    return;
+  }
+
+  const url = new URL(req.url, "http://localhost");
+
+  if (url.pathname === "/mcp") {
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers["mcp-session-id"];
+    let transport = sessionId && httpSessions.get(sessionId);
+
+    if (!transport) {
+      if (sessionId) {
+        sendHttpError(res, 404, -32001, `Session not found: ${sessionId}`);
+        return;
+      }
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        sendHttpError(res, 400, -32000, "Bad request: start a session with an initialize request");
+        return;
+      }
+
+      // A new client: give it its own server
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (newSessionId) => httpSessions.set(newSessionId, transport),
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          httpSessions.delete(transport.sessionId);
+        }
       };
+      await createServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, body);
+    return;
+  }
+
+  if (url.pathname === "/sse" && req.method === "GET") {
+    const transport = new SSEServerTransport("/messages", res);
+    sseSessions.set(transport.sessionId, transport);
+    res.on("close", () => sseSessions.delete(transport.sessionId));
+    await createServer().connect(transport);
+    return;
+  }
+
+  if (url.pathname === "/messages" && req.method === "POST") {
+    const transport = sseSessions.get(url.searchParams.get("sessionId"));
+    if (!transport) {
+      sendHttpError(res, 404, -32001, "Session not found");
+      return;
+    }
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+    return;
+  }
+
+  sendHttpError(res, 404, -32601, `Not found: ${req.method} ${url.pathname}`);
+}
+
+async function startHttpServer() {
+  if (!httpToken) {
+    throw new Error("The HTTP transport needs a token: set ITERM_MCP_HTTP_TOKEN or http.token in the config file");
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    try {
+      await handleHttpRequest(req, res);
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Failed to send keys: ${error.message}`,
-          },
-        ],
-      };
+      if (!error.status) {
+        console.error("Failed to handle HTTP request:", error);
+      }
+      if (!res.headersSent) {
+        sendHttpError(res, error.status || 500, error.code || -32603, error.status ? error.message : "Internal server error");
+      }
     }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(httpPort, httpHost, resolve);
+  });
+  console.error(`iTerm2 MCP Server listening on http://${httpHost}:${httpPort}/mcp (${backend.name} backend${dryRun ? ", dry run" : ""})`);
+}
+
+// Command-line client
+//
+// Subcommands run one tool through the same handlers as MCP calls and
+// print its result, so shell scripts can drive terminals directly:
+//
+//   iterm_mcp_server open --cwd ~/project
+//   iterm_mcp_server exec tmux-3 npm test --wait
+//   iterm_mcp_server wait tmux-3 "Listening on port \d+" --timeout 60000
+//
+// Positional arguments fill the parameters listed for each subcommand, the
+// last one taking the rest of the words. Any other parameter of the tool is
+// given as --name value (--success-patterns for successPatterns); booleans
+// need no value, and arrays and objects are JSON. --json prints the whole
+// tool result as JSON.
+//
+// Exit codes: 0 on success, 1 if the tool failed, 2 for bad arguments and
+// 130 when interrupted. exec --wait exits with the command's own code.
+
+const cliCommands = {
+  open: { tool: "open-terminal", positional: [] },
+  exec: { tool: "execute-command", positional: ["terminalId", "command"] },
+  read: { tool: "read-output", positional: ["terminalId"] },
+  keys: { tool: "send-keys", positional: ["terminalId", "keys"] },
+  list: { tool: "list-terminals", positional: [] },
+  close: { tool: "close-terminal", positional: ["terminalId"] },
+  wait: { tool: "wait-for-output", positional: ["terminalId", "pattern"] },
+};
+
+// Flags that configure the server rather than the tool call
+const cliGlobalFlags = ["json", "dry-run"];
+
+function cliUsage() {
+  const lines = ["Usage: iterm_mcp_server <command> [arguments] [--name value ...] [--json]", "", "Commands:"];
+  for (const [command, { tool, positional }] of Object.entries(cliCommands)) {
+    const usage = [command, ...positional.map((name) => `<${name}>`)].join(" ");
+    lines.push(`  ${usage.padEnd(32)} ${tool}`);
+  }
+  lines.push("", "Without a command the MCP server starts (--transport stdio|http).");
+  return lines.join("\n");
+}
+
+function cliUsageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+// The zod type under optional() and default()
+function baseType(schema) {
+  let type = schema;
+  while (type._def.innerType) {
+    type = type._def.innerType;
+  }
+  return type._def.typeName;
+}
+
+// Turn a flag's text into the type its parameter expects
+function cliValue(name, schema, text) {
+  switch (baseType(schema)) {
+    case "ZodNumber": {
+      const number = Number(text);
+      if (text === undefined || text === "" || Number.isNaN(number)) {
+        throw cliUsageError(`--${name} needs a number`);
+      }
+      return number;
+    }
+    case "ZodBoolean":
+      return text !== "false";
+    case "ZodArray":
+    case "ZodObject":
+    case "ZodRecord":
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw cliUsageError(`--${name} needs a JSON value`);
+      }
+    default:
+      if (text === undefined) {
+        throw cliUsageError(`--${name} needs a value`);
+      }
+      return text;
+  }
+}
+
+// Parse the words after the subcommand into tool arguments
+function parseCliArguments(definition, positionalNames, words) {
+  const args = {};
+  const positional = [];
+  for (let index = 0; index < words.length; index++) {
+    const word = words[index];
+    // Everything after -- is positional, even if it starts with --
+    if (word === "--") {
+      positional.push(...words.slice(index + 1));
+      break;
+    }
+    if (!word.startsWith("--")) {
+      positional.push(word);
+      continue;
+    }
+
+    const equals = word.indexOf("=");
+    const flag = equals === -1 ? word.slice(2) : word.slice(2, equals);
+    if (cliGlobalFlags.includes(flag)) {
+      continue;
+    }
+    const name = flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    const schema = definition.schema[name];
+    if (!schema) {
+      throw cliUsageError(`Unknown option --${flag} for ${definition.name}`);
+    }
+
+    let text = equals === -1 ? undefined : word.slice(equals + 1);
+    if (text === undefined && baseType(schema) !== "ZodBoolean") {
+      text = words[++index];
+    }
+    args[name] = cliValue(flag, schema, text);
   }
-);
+
+  if (positional.length > positionalNames.length && positionalNames.length > 0) {
+    positional.splice(positionalNames.length - 1, Infinity, positional.slice(positionalNames.length - 1).join(" "));
+  }
+  if (positional.length > positionalNames.length) {
+    throw cliUsageError(`Unexpected argument: ${positional[positionalNames.length]}`);
+  }
+  positional.forEach((value, index) => {
+    args[positionalNames[index]] = value;
+  });
+
+  const parsed = z.object(definition.schema).safeParse(args);
+  if (!parsed.success) {
+    const problems = parsed.error.issues.map((issue) => `${issue.path.join(".") || "arguments"}: ${issue.message}`);
+    throw cliUsageError(`Invalid arguments for ${definition.name}: ${problems.join("; ")}`);
+  }
+  return parsed.data;
+}
+
+// Run a subcommand and return the process exit code
+async function runCliCommand(command, words) {
+  const { tool, positional } = cliCommands[command];
+  const definition = toolDefinitions.find((candidate) => candidate.name === tool);
+  const separator = words.indexOf("--");
+  const json = (separator === -1 ? words : words.slice(0, separator)).includes("--json");
+
+  let args;
+  try {
+    args = parseCliArguments(definition, positional, words);
+  } catch (error) {
+    if (!error.usage) {
+      throw error;
+    }
+    console.error(`${error.message}\n\n${cliUsage()}`);
+    return 2;
+  }
+
+  // ctrl-c cancels the tool call like an MCP cancellation
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+
+  const result = await callTool(null, definition, args, { signal: controller.signal });
+  stopScriptRunner();
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    const text = result.content.map((item) => item.text).join("\n");
+    if (result.isError) {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
+  }
+
+  if (result.isError) {
+    return result.structuredContent?.error?.code === "cancelled" ? 130 : 1;
+  }
+  const exitCode = result.structuredContent?.exitCode;
+  if (typeof exitCode === "number") {
+    return exitCode;
+  }
+  return result.structuredContent?.completed === false ? 1 : 0;
+}
 
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("iTerm2 MCP Server running on stdio");
+  if (process.argv.includes("--benchmark")) {
+    console.log(await benchmarkScriptRunner());
+    return;
+  }
+
+  const [command, ...words] = process.argv.slice(2);
+  if (cliCommands[command]) {
+    process.exitCode = await runCliCommand(command, words);
+    return;
+  }
+  if (command === "help" || command === "--help") {
+    console.log(cliUsage());
+    return;
+  }
+  if (command && !command.startsWith("--")) {
+    console.error(`Unknown command: ${command}\n\n${cliUsage()}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const transport = flagValue("transport") || config.transport || "stdio";
+  if (transport === "http") {
+    await startHttpServer();
+    return;
+  }
+  if (transport !== "stdio") {
+    throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+  }
+
+  await createServer().connect(new StdioServerTransport());
+  console.error(`iTerm2 MCP Server running on stdio (${backend.name} backend${dryRun ? ", dry run" : ""})`);
 }
 
 main().catch((error) => {
   console.error("Fatal error in main():", error);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,73 @@
+// Runs tools through the command line in dry-run mode and checks the
+// AppleScript the iTerm2 backend would have run. Needs neither a Mac nor
+// iTerm2.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { run, terminalId } from "./helpers/cli.js";
+
+test("open returns a valid terminal ID without a response rule", () => {
+  const { status, text, scripts } = run(["open"]);
+  assert.equal(status, 0);
+  assert.equal(text, `Terminal opened with ID: ${terminalId}`);
+  assert.equal(scripts.length, 1);
+  assert.match(scripts[0], /set targetWindow to \(create window with default profile\)/);
+});
+
+test("open types its setup line and command into the new session", () => {
+  const { scripts } = run(["open", "--cwd", "/tmp/my dir", "--env", "{\"GREETING\":\"it's\"}", "--title", "a \"b\"", "--command", "npm run dev"]);
+  assert.match(scripts[0], /set name to "a \\"b\\""/);
+  assert.match(scripts[0], /write text "cd '\/tmp\/my dir' && export GREETING='it'\\\\''s'"/);
+  assert.match(scripts[0], /write text "npm run dev"/);
+});
+
+test("exec escapes quotes and backslashes for AppleScript", () => {
+  const { status, scripts } = run(["exec", terminalId, "--", "echo \"a\\b\" $HOME"]);
+  assert.equal(status, 0);
+  assert.equal(scripts.length, 1);
+  assert.ok(scripts[0].includes("(id of aSession as string) = \"00000000-0000-4000-8000-000000000001\""));
+  assert.ok(scripts[0].includes("write text \"echo \\\"a\\\\b\\\" $HOME\""));
+});
+
+test("exec --wait keeps a trailing \\; and puts the command on its own lines", () => {
+  const { scripts } = run(["exec", terminalId, "--wait", "--timeout", "300", "--", "find . -exec echo {} \\;"]);
+  const typed = scripts.find((script) => script.includes("write text"));
+  assert.match(typed, /; \{\nfind \. -exec echo \{\} \\\\;\n\}; printf /);
+});
+
+test("keys sends control characters with character id", () => {
+  const { scripts } = run(["keys", terminalId, "ctrl-c"]);
+  assert.match(scripts[0], /write text \(character id 3\) newline NO/);
+});
+
+test("read returns the output of a response rule", () => {
+  const { status, text } = run(["read", terminalId], {
+    dryRun: { responses: [{ match: "contents", output: "$ echo hi\nhi" }] },
+  });
+  assert.equal(status, 0);
+  assert.equal(text, "$ echo hi\nhi");
+});
+
+test("a read cursor keeps the window of an offset from the bottom", () => {
+  const config = { dryRun: { responses: [{ match: "contents", output: "l1\nl2\nl3\nl4\nl5\nl6\nl7\nl8\nl9\nl10" }] } };
+  const first = run(["read", terminalId, "--offset", "3", "--maxBytes", "6"], config);
+  assert.match(first.text, /^Lines 1-2 of 10\nMore output available, continue with cursor: 2:7\n/);
+  const next = run(["read", terminalId, "--cursor", "2:7"], config);
+  assert.equal(next.text, "Lines 3-7 of 10\nl3\nl4\nl5\nl6\nl7");
+});
+
+test("a response rule error surfaces as a tool error", () => {
+  const { status, result } = run(["read", terminalId], {
+    dryRun: { responses: [{ match: "contents", error: "Not authorized to send Apple events to iTerm2.", number: -1743 }] },
+  });
+  assert.equal(status, 1);
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent.error.code, "automation-permission-denied");
+});
+
+test("an invalid terminal ID runs no script", () => {
+  const { status, result, scripts } = run(["read", "iterm-nope"]);
+  assert.equal(status, 1);
+  assert.equal(result.structuredContent.error.code, "invalid-id");
+  assert.deepEqual(scripts, []);
+});
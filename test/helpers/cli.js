@@ -0,0 +1,34 @@
+// Runs the server's command line in dry-run mode for the tests
+
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const server = fileURLToPath(new URL("../../index.js", import.meta.url));
+export const terminalId = "iterm-00000000-0000-4000-8000-000000000001";
+
+// Run one command line call with --dry-run --json, which go before any --.
+// config is written to a config file of its own, so
+// ~/.iterm-mcp-server.json is never read.
+export function run(args, config = {}) {
+  const configDir = mkdtempSync(join(tmpdir(), "iterm-mcp-test-"));
+  const configPath = join(configDir, "config.json");
+  writeFileSync(configPath, JSON.stringify(config));
+
+  const [command, ...rest] = args;
+  const child = spawnSync(process.execPath, [server, command, "--dry-run", "--json", ...rest], {
+    encoding: "utf8",
+    timeout: 20000,
+    env: { ...process.env, ITERM_MCP_CONFIG: configPath, ITERM_MCP_AUDIT_LOG: "false" },
+  });
+  rmSync(configDir, { recursive: true });
+  const result = JSON.parse(child.stdout);
+  return {
+    status: child.status,
+    result,
+    text: result.content[0].text,
+    scripts: result.structuredContent?.dryRun?.scripts || [],
+  };
+}
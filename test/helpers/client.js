@@ -0,0 +1,35 @@
+// Connects an MCP client to the server in dry-run mode, for tools that the
+// command line does not cover
+
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const server = fileURLToPath(new URL("../../index.js", import.meta.url));
+
+// Start a dry-run server with config and return a connected client. Call
+// close() on it when done.
+export async function connect(config = {}) {
+  const configDir = mkdtempSync(join(tmpdir(), "iterm-mcp-test-"));
+  const configPath = join(configDir, "config.json");
+  writeFileSync(configPath, JSON.stringify(config));
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [server, "--dry-run"],
+    env: { ...process.env, ITERM_MCP_CONFIG: configPath, ITERM_MCP_AUDIT_LOG: "false" },
+    stderr: "ignore",
+  });
+  const client = new Client({ name: "iterm-mcp-test", version: "0" });
+  await client.connect(transport);
+
+  const close = client.close.bind(client);
+  client.close = async () => {
+    await close();
+    rmSync(configDir, { recursive: true });
+  };
+  return client;
+}
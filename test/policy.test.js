@@ -0,0 +1,56 @@
+// Checks the command policy through execute-command in dry-run mode. A
+// refused command must not reach the terminal, so no script is recorded.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { run, terminalId } from "./helpers/cli.js";
+
+const allowGitStatus = { policy: { allow: ["^git status"] } };
+
+function exec(command, config) {
+  return run(["exec", terminalId, "--", command], config);
+}
+
+function assertRefused({ status, result, scripts }) {
+  assert.equal(status, 1);
+  assert.equal(result.structuredContent.error.code, "policy-denied");
+  assert.deepEqual(scripts, []);
+}
+
+test("a command matching an allow rule runs", () => {
+  const { status, scripts } = exec("git status", allowGitStatus);
+  assert.equal(status, 0);
+  assert.equal(scripts.length, 1);
+});
+
+test("every part of a list must match an allow rule", () => {
+  assertRefused(exec("git status; touch /tmp/x", allowGitStatus));
+  assertRefused(exec("git status && touch /tmp/x", allowGitStatus));
+  assertRefused(exec("git status | touch /tmp/x", allowGitStatus));
+});
+
+test("a lone & separates commands", () => {
+  assertRefused(exec("git status & touch /tmp/x", allowGitStatus));
+  assertRefused(exec("git status &touch /tmp/x", allowGitStatus));
+});
+
+test("redirections with & do not split the command", () => {
+  assert.equal(exec("git status 2>&1", allowGitStatus).status, 0);
+  assert.equal(exec("git status &>/dev/null", allowGitStatus).status, 0);
+});
+
+test("substitutions are refused when allow rules are set", () => {
+  assertRefused(exec("git status $(touch /tmp/x)", allowGitStatus));
+  assertRefused(exec("git status `touch /tmp/x`", allowGitStatus));
+  assertRefused(exec("git status <(touch /tmp/x)", allowGitStatus));
+  assertRefused(exec("git status >(touch /tmp/x)", allowGitStatus));
+});
+
+test("substitutions are allowed without allow rules", () => {
+  const { status } = exec("echo $(date)", { policy: { deny: ["^rm"] } });
+  assert.equal(status, 0);
+});
+
+test("deny rules match any part of a command", () => {
+  assertRefused(exec("echo hi & rm -rf /tmp/x", { policy: { deny: ["^rm"] } }));
+});
@@ -0,0 +1,35 @@
+// Checks open-workspace's ready patterns in dry-run mode
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { connect } from "./helpers/client.js";
+
+test("the echo of a command does not satisfy its ready pattern", async () => {
+  // The screen shows the prompt, then the typed command line, which
+  // contains the pattern, but the command has printed nothing yet
+  const client = await connect({
+    dryRun: {
+      responses: [
+        { match: "set output to contents", output: "$ ", once: true },
+        { match: "set output to contents", output: "$ printf '__MCP_%s_START__\\n' 0123456789ab; sleep 4; echo READY-X" },
+      ],
+    },
+  });
+  try {
+    const result = await client.callTool({
+      name: "open-workspace",
+      arguments: {
+        layout: {
+          name: "echo-test",
+          terminals: [{ name: "server", command: "sleep 4; echo READY-X", readyPattern: "READY-X", readyTimeout: 600 }],
+        },
+      },
+    });
+    assert.deepEqual(result.structuredContent.notReady, ["server"]);
+
+    const typed = result.structuredContent.dryRun.scripts.find((script) => script.includes("__MCP_"));
+    assert.match(typed, /write text "printf '__MCP_%s_START__\\\\n' [0-9a-f]{12}; sleep 4; echo READY-X"/);
+  } finally {
+    await client.close();
+  }
+});